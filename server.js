@@ -3,13 +3,96 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
+const multer = require('multer');
+const { Readable } = require('stream');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const CLI_COMMAND = process.argv[2] || null;
+
+// URL pública usada nos links enviados por email
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Login de membros por código/link enviado por email
+const LOGIN_CODE_TTL_MINUTES = parseInt(process.env.LOGIN_CODE_TTL_MINUTES) || 15;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const LOGIN_CODE_RESEND_SECONDS = 60;
+
+// Sessões assinadas (HMAC) - access token curto + refresh token rotativo
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const MEMBER_SESSION_TTL_DAYS = parseInt(process.env.MEMBER_SESSION_TTL_DAYS) || 7;
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true' || process.env.NODE_ENV === 'production';
+
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️ SESSION_SECRET não definido - todas as sessões serão invalidadas ao reiniciar o servidor');
+}
+
+// Contas de admin
+const ADMIN_SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS) || 12;
+const ADMIN_PASSWORD_MIN_LENGTH = 10;
+const ADMIN_MAX_FAILED_LOGINS = 5;
+const ADMIN_LOCK_MINUTES = 15;
+
+// Papéis de admin e permissões de cada um (owner tem todas)
+const ADMIN_ROLES = {
+    owner: { label: 'Dono', permissions: ['*'] },
+    catalog_editor: { label: 'Editor de Catálogo', permissions: ['products:write'] },
+    support: { label: 'Suporte', permissions: ['access:read', 'access:write'] },
+    finance_viewer: { label: 'Financeiro (leitura)', permissions: ['revenue:read'] }
+};
+
+// Assinaturas: intervalo da varredura que marca acessos vencidos (expires_at) como 'expired'
+const ACCESS_EXPIRY_SWEEP_MINUTES = parseInt(process.env.ACCESS_EXPIRY_SWEEP_MINUTES) || 10;
+
+// Lixeira: produtos excluídos ficam restauráveis por este prazo antes da remoção definitiva
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Webhooks: sem token/HMAC configurado as entregas são rejeitadas (exceto com esta flag, para desenvolvimento)
+const WEBHOOK_ALLOW_UNVERIFIED = process.env.WEBHOOK_ALLOW_UNVERIFIED === 'true';
+
+// Rotas /debug/*: desligadas por padrão em produção; quando ligadas exigem admin com a permissão adequada
+const DEBUG_ROUTES_ENABLED = process.env.DEBUG_ROUTES_ENABLED
+    ? process.env.DEBUG_ROUTES_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'production';
+
+// Transporte de email: console (padrão), file ou smtp
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Membros VIP <no-reply@membrosvip.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+
+// Uploads do painel: limite em MB por categoria de arquivo
+const UPLOAD_MAX_MB = {
+    image: parseInt(process.env.UPLOAD_MAX_IMAGE_MB) || 10,
+    video: parseInt(process.env.UPLOAD_MAX_VIDEO_MB) || 1024,
+    document: parseInt(process.env.UPLOAD_MAX_DOCUMENT_MB) || 100
+};
+const UPLOAD_TMP_DIR = path.join('uploads', '.tmp');
+const UPLOAD_THUMBS_DIR = path.join('uploads', 'thumbs');
+const UPLOAD_THUMB_WIDTH = 400;
+
+// Streaming protegido: validade dos links assinados de vídeos, galeria e anexos
+const MEDIA_URL_TTL_MINUTES = parseInt(process.env.MEDIA_URL_TTL_MINUTES) || 120;
+// Extensões em /uploads que só saem pelo streaming assinado (imagens de vitrine continuam públicas)
+const PROTECTED_UPLOAD_EXTENSIONS = ['.mp4', '.mov', '.webm', '.pdf', '.zip', '.epub'];
 
 // MIDDLEWARE
+if (process.env.TRUST_PROXY) {
+    // Necessário atrás de proxy/load balancer para req.ip refletir o IP real (allowlist de webhooks)
+    app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 app.use(cors());
-app.use(express.json());
+// rawBody guardado para a verificação HMAC dos webhooks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
+app.use(cookieParser());
 
 // Static files com controle de cache
 app.use(express.static('public', {
@@ -28,6 +111,21 @@ app.use(express.static('public', {
     }
 }));
 
+// Conteúdo pago enviado ao servidor não pode ser aberto pelo link direto (só admins, para conferência)
+app.use('/uploads', (req, res, next) => {
+    if (!PROTECTED_UPLOAD_EXTENSIONS.includes(path.extname(req.path).toLowerCase())) {
+        return next();
+    }
+    
+    optionalAdmin(req, res, () => {
+        if (req.admin) {
+            return next();
+        }
+        console.log(`🔒 Link direto bloqueado: /uploads${req.path}`);
+        res.status(403).json({ success: false, error: 'Conteúdo protegido. Acesse pela área de membros.' });
+    });
+});
+
 app.use('/uploads', express.static('uploads', {
     setHeaders: (res) => {
         res.setHeader('Cache-Control', 'public, max-age=3600');
@@ -37,6 +135,7 @@ app.use('/uploads', express.static('uploads', {
 if (!fs.existsSync('uploads')) {
     fs.mkdirSync('uploads');
 }
+[UPLOAD_TMP_DIR, UPLOAD_THUMBS_DIR].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
 
 // Anti-cache middleware para APIs
 const forceNoCacheMiddleware = (req, res, next) => {
@@ -54,7 +153,25 @@ app.use('/debug/*', forceNoCacheMiddleware);
 app.use('/webhook/*', forceNoCacheMiddleware);
 
 // DATABASE SETUP
-const db = new sqlite3.Database('database.db');
+const DATABASE_FILE = 'database.db';
+const DATABASE_BUSY_TIMEOUT_MS = 10000;
+
+const db = new sqlite3.Database(DATABASE_FILE);
+// Conexão só das transações (runTransaction): o BEGIN/COMMIT dela não engole consultas de outras requisições
+const transactionDb = new sqlite3.Database(DATABASE_FILE);
+
+// Enquanto uma conexão grava, a outra espera o lock em vez de falhar com SQLITE_BUSY
+db.configure('busyTimeout', DATABASE_BUSY_TIMEOUT_MS);
+transactionDb.configure('busyTimeout', DATABASE_BUSY_TIMEOUT_MS);
+
+// Migração simples: adiciona coluna em bancos já existentes (ignora se já existir)
+function addColumnIfMissing(table, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+        if (err && !/duplicate column name/i.test(err.message)) {
+            console.error(`❌ Erro ao migrar ${table} (${definition}):`, err.message);
+        }
+    });
+}
 
 db.serialize(() => {
     // Products table
@@ -90,6 +207,34 @@ db.serialize(() => {
         )
     `);
 
+    // Liberação programada (drip) de itens da galeria
+    addColumnIfMissing('product_media', 'release_after_days INTEGER');
+    addColumnIfMissing('product_media', 'release_at DATETIME');
+    // Teaser para quem ainda não comprou
+    addColumnIfMissing('products', 'preview_video TEXT');
+    addColumnIfMissing('product_media', 'is_preview INTEGER DEFAULT 0');
+    // Publicação: rascunho/agendado/publicado/arquivado, janela de exibição e ordem manual dentro da categoria
+    addColumnIfMissing('products', "status TEXT DEFAULT 'published'");
+    addColumnIfMissing('products', 'publish_at DATETIME');
+    addColumnIfMissing('products', 'unpublish_at DATETIME');
+    addColumnIfMissing('products', 'position INTEGER DEFAULT 0');
+    // Lixeira (exclusão reversível até a limpeza definitiva)
+    addColumnIfMissing('products', 'deleted_at DATETIME');
+    addColumnIfMissing('products', 'deleted_by TEXT');
+    // Concorrência otimista: cada gravação incrementa a versão (ETag) e edições desatualizadas recebem 409
+    addColumnIfMissing('products', 'version INTEGER DEFAULT 1');
+    // Galerias órfãs deixadas pela exclusão antiga (sem PRAGMA foreign_keys o CASCADE nunca rodou)
+    db.run('DELETE FROM product_media WHERE product_id NOT IN (SELECT id FROM products)');
+    // Primeira ordenação manual: mantém a ordem antiga (mais recentes primeiro) em cada categoria
+    db.run(`
+        UPDATE products SET position = (
+            SELECT COUNT(*) FROM products other
+            WHERE other.category IS products.category
+            AND (other.updated_at > products.updated_at OR (other.updated_at = products.updated_at AND other.id > products.id))
+        )
+        WHERE NOT EXISTS (SELECT 1 FROM products WHERE position <> 0)
+    `);
+
     // User access table
     db.run(`
         CREATE TABLE IF NOT EXISTS user_access (
@@ -107,6 +252,335 @@ db.serialize(() => {
         )
     `);
 
+    // Login codes table (código de 6 dígitos + magic link)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS login_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL,
+            code_hash TEXT NOT NULL,
+            link_token_hash TEXT NOT NULL,
+            attempts INTEGER DEFAULT 0,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Member sessions table (refresh token rotativo + revogação no servidor)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS member_sessions (
+            id TEXT PRIMARY KEY,
+            email TEXT NOT NULL,
+            refresh_token_hash TEXT NOT NULL,
+            remember INTEGER DEFAULT 1,
+            user_agent TEXT,
+            ip TEXT,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            revoked_reason TEXT,
+            last_refreshed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Admins table
+    db.run(`
+        CREATE TABLE IF NOT EXISTS admins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE,
+            password_hash TEXT NOT NULL,
+            active INTEGER DEFAULT 1,
+            failed_attempts INTEGER DEFAULT 0,
+            locked_until DATETIME,
+            last_login_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Admin sessions table
+    db.run(`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+            id TEXT PRIMARY KEY,
+            admin_id INTEGER NOT NULL,
+            user_agent TEXT,
+            ip TEXT,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (admin_id) REFERENCES admins(id)
+        )
+    `);
+
+    // Códigos de plano/oferta de cada produto: N códigos por produto e um código pode liberar N produtos (combos)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS product_plans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            plan_code TEXT NOT NULL,
+            position INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (product_id, plan_code),
+            FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_product_plans_code ON product_plans (plan_code)');
+
+    // Migração das colunas fixas plano_1/2/3 → product_plans. As colunas são esvaziadas depois da cópia
+    // para que um plano removido no painel não volte no próximo restart.
+    ['plano_1', 'plano_2', 'plano_3'].forEach((column, index) => {
+        db.run(`
+            INSERT OR IGNORE INTO product_plans (product_id, plan_code, position)
+            SELECT id, TRIM(${column}), ${index} FROM products WHERE ${column} IS NOT NULL AND TRIM(${column}) != ''
+        `);
+    });
+    db.run('UPDATE products SET plano_1 = NULL, plano_2 = NULL, plano_3 = NULL WHERE plano_1 IS NOT NULL OR plano_2 IS NOT NULL OR plano_3 IS NOT NULL');
+
+    // Curso: módulos (com drip opcional) → aulas ordenadas → anexos
+    db.run(`
+        CREATE TABLE IF NOT EXISTS product_modules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            position INTEGER DEFAULT 0,
+            release_after_days INTEGER,
+            release_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_product_modules_product ON product_modules (product_id, position)');
+
+    db.run(`
+        CREATE TABLE IF NOT EXISTS product_lessons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            module_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            description TEXT,
+            video_url TEXT,
+            body TEXT,
+            position INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (module_id) REFERENCES product_modules (id) ON DELETE CASCADE
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_product_lessons_module ON product_lessons (module_id, position)');
+
+    db.run(`
+        CREATE TABLE IF NOT EXISTS lesson_attachments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lesson_id INTEGER NOT NULL,
+            title TEXT,
+            url TEXT NOT NULL,
+            position INTEGER DEFAULT 0,
+            FOREIGN KEY (lesson_id) REFERENCES product_lessons (id) ON DELETE CASCADE
+        )
+    `);
+
+    // Progresso do membro por vídeo: item_type 'main' (vídeo principal, item_id 0), 'media' (galeria) ou 'lesson'
+    db.run(`
+        CREATE TABLE IF NOT EXISTS member_progress (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL,
+            product_id INTEGER NOT NULL,
+            item_type TEXT NOT NULL,
+            item_id INTEGER NOT NULL DEFAULT 0,
+            position_seconds REAL DEFAULT 0,
+            duration_seconds REAL,
+            completed INTEGER DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (email, product_id, item_type, item_id)
+        )
+    `);
+
+    // Biblioteca de mídia: arquivos enviados pelo painel, salvos como <sha256>.<ext> em uploads/
+    db.run(`
+        CREATE TABLE IF NOT EXISTS media_files (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            filename TEXT UNIQUE NOT NULL,
+            original_name TEXT,
+            kind TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            width INTEGER,
+            height INTEGER,
+            thumbnail TEXT,
+            uploaded_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Downloads do produto (PDFs entregues com marca d'água do comprador)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS product_downloads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            url TEXT NOT NULL,
+            position INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+        )
+    `);
+
+    // Registro de cada cópia entregue; o código impresso no PDF leva de volta ao comprador
+    db.run(`
+        CREATE TABLE IF NOT EXISTS download_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            download_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            access_id INTEGER,
+            payment_id TEXT,
+            fingerprint TEXT UNIQUE NOT NULL,
+            ip_address TEXT,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_download_log_email ON download_log (email)');
+
+    // Prateleiras da home do membro (slug gravado em products.category)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS categories (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug TEXT UNIQUE NOT NULL,
+            name TEXT NOT NULL,
+            position INTEGER DEFAULT 0,
+            visible INTEGER DEFAULT 1,
+            icon TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Vigência por código de plano (duration_days NULL = vitalício)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS plan_durations (
+            plan_code TEXT PRIMARY KEY,
+            duration_days INTEGER,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Inbox de webhooks: toda entrega autenticada, com resultado do processamento (replay pelo painel)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS webhook_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provider TEXT NOT NULL,
+            dedupe_key TEXT UNIQUE,
+            external_id TEXT,
+            event_status TEXT,
+            raw_status TEXT,
+            email TEXT,
+            payload TEXT NOT NULL,
+            headers TEXT,
+            ip TEXT,
+            processing_status TEXT NOT NULL DEFAULT 'received',
+            result TEXT,
+            error TEXT,
+            attempts INTEGER DEFAULT 0,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            processed_at DATETIME
+        )
+    `);
+
+    // Auditoria das alterações de acesso feitas pelo suporte
+    db.run(`
+        CREATE TABLE IF NOT EXISTS access_audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            access_id INTEGER NOT NULL,
+            email TEXT NOT NULL,
+            action TEXT NOT NULL,
+            reason TEXT,
+            details TEXT,
+            admin_id INTEGER,
+            admin_username TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Revisões imutáveis do produto (foto completa: campos, códigos de plano e galeria)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS product_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            revision INTEGER NOT NULL,
+            action TEXT NOT NULL,
+            snapshot TEXT NOT NULL,
+            note TEXT,
+            admin_id INTEGER,
+            admin_username TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (product_id, revision)
+        )
+    `);
+
+    // Códigos de plano confirmados como combo (um checkout liberando vários produtos)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS shared_plan_codes (
+            plan_code TEXT PRIMARY KEY,
+            confirmed_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    // Cobranças que liberaram ou renovaram cada acesso (ids da venda/fatura/charge). payment_id do acesso
+    // guarda a venda original ou a assinatura; reembolso e chargeback de qualquer cobrança acham o acesso por aqui.
+    db.run(`
+        CREATE TABLE IF NOT EXISTS access_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            access_id INTEGER NOT NULL,
+            payment_id TEXT NOT NULL,
+            provider TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (access_id, payment_id)
+        )
+    `);
+    db.run('CREATE INDEX IF NOT EXISTS idx_access_payments_payment ON access_payments (payment_id)');
+
+    // Combos cadastrados antes da checagem de conflito já valem como confirmados
+    db.run(`
+        INSERT OR IGNORE INTO shared_plan_codes (plan_code, confirmed_by)
+        SELECT plan_code, 'migração' FROM product_plans GROUP BY plan_code HAVING COUNT(DISTINCT product_id) > 1
+    `);
+
+    addColumnIfMissing('admins', "role TEXT NOT NULL DEFAULT 'owner'");
+    // Acessos criados pelas rotas /debug/simulate-* ficam marcados como dados de teste
+    addColumnIfMissing('user_access', 'is_test INTEGER DEFAULT 0');
+    // Motivo e momento da revogação (reembolso, chargeback, cancelamento ou ação do suporte)
+    addColumnIfMissing('user_access', 'revoked_reason TEXT');
+    addColumnIfMissing('user_access', 'revoked_at DATETIME');
+    // Checkout de origem e moeda da venda (eventos normalizados pelos adapters de pagamento)
+    addColumnIfMissing('user_access', 'provider TEXT');
+    addColumnIfMissing('user_access', "currency TEXT DEFAULT 'BRL'");
+
+    bootstrapAdmin();
+
+    // Prateleiras que antes eram fixas no HTML (só na primeira execução; depois o painel manda)
+    db.get('SELECT COUNT(*) as count FROM categories', (err, row) => {
+        if (err || row.count > 0) {
+            return;
+        }
+        
+        const defaults = [
+            ['meus_produtos', 'Meus Produtos', '⭐'],
+            ['mais_vendidos', 'Mais Vendidos', '🔥'],
+            ['criadoras_conteudos', 'Criadoras de Conteúdos', '📸'],
+            ['chamadas_video', 'Chamadas de Vídeo', '📹'],
+            ['para_homens', 'Para Homens', '👤'],
+            ['fetiches', 'Fetiches', '🔒']
+        ];
+        
+        db.run(
+            `INSERT OR IGNORE INTO categories (slug, name, position, icon) VALUES ${defaults.map(() => '(?, ?, ?, ?)').join(', ')}`,
+            defaults.flatMap(([slug, name, icon], position) => [slug, name, position, icon])
+        );
+    });
+
     // Insert sample data
     db.get("SELECT COUNT(*) as count FROM products", (err, row) => {
         if (!err && row.count === 0) {
@@ -120,7 +594,7 @@ db.serialize(() => {
                     main_video: "https://e-volutionn.com/wp-content/uploads/2025/07/download-1.mp4",
                     access_url: "https://wa.me/5511975768554?text=Oi%20Fabi%2C%20vim%20pelo%20APP",
                     category: "meus_produtos",
-                    plano_1: "PPLQQLST6"
+                    plans: ["PPLQQLST6"]
                 },
                 {
                     name: "Pack Premium Exclusivo",
@@ -130,16 +604,20 @@ db.serialize(() => {
                     buy_url: "https://hotmoney.space/",
                     price: 147.00,
                     category: "mais_vendidos",
-                    plano_1: "PPLQQLST7"
+                    plans: ["PPLQQLST7"]
                 }
             ];
 
             sampleProducts.forEach((product, index) => {
                 db.run(`
-                    INSERT INTO products (name, description, banner_url, main_video, access_url, buy_url, price, category, plano_1)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    INSERT INTO products (name, description, banner_url, main_video, access_url, buy_url, price, category)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
                 `, [product.name, product.description, product.banner_url, product.main_video, 
-                   product.access_url, product.buy_url, product.price, product.category, product.plano_1], function(err) {
+                   product.access_url, product.buy_url, product.price, product.category], function(err) {
+                    if (!err) {
+                        runTransaction(productPlanStatements(this.lastID, product.plans), () => {});
+                    }
+                    
                     if (!err && index === 0) {
                         const galleryItems = [
                             { type: 'image', url: 'https://e-volutionn.com/wp-content/uploads/2025/07/IMG_7978.jpg', order_index: 0 },
@@ -166,1013 +644,5715 @@ db.serialize(() => {
     });
 });
 
-// DEBUG ROUTES
-app.get('/debug/products', (req, res) => {
-    console.log(`🐛 DEBUG: Listando produtos (${new Date().toLocaleTimeString()})`);
-    
-    db.all('SELECT * FROM products ORDER BY updated_at DESC', [], (err, rows) => {
-        if (err) {
-            return res.status(500).json({ error: err.message });
+// =============================================================================
+// MAIL TRANSPORT - console, arquivo ou SMTP
+// =============================================================================
+
+const mailTransports = {
+    // Desenvolvimento: apenas imprime o email no log do servidor
+    console: {
+        send(message) {
+            console.log('\n📧 ===== EMAIL (console) =====');
+            console.log(`Para: ${message.to}`);
+            console.log(`Assunto: ${message.subject}`);
+            console.log(message.text);
+            console.log('==============================\n');
+            return Promise.resolve();
         }
-        res.json({ 
-            products: rows,
-            timestamp: new Date().toISOString(),
-            total: rows.length
-        });
-    });
-});
+    },
 
-app.get('/debug/access', (req, res) => {
-    console.log(`🐛 DEBUG: Listando acessos (${new Date().toLocaleTimeString()})`);
-    
-    db.all('SELECT * FROM user_access ORDER BY created_at DESC LIMIT 50', [], (err, rows) => {
-        if (err) {
-            return res.status(500).json({ error: err.message });
+    // Desenvolvimento: grava cada email como JSON em MAIL_OUTBOX_DIR
+    file: {
+        send(message) {
+            return new Promise((resolve, reject) => {
+                if (!fs.existsSync(MAIL_OUTBOX_DIR)) {
+                    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+                }
+
+                const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+                const filePath = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${safeTo}.json`);
+
+                fs.writeFile(filePath, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2), (err) => {
+                    if (err) return reject(err);
+                    console.log(`📧 Email gravado em ${filePath}`);
+                    resolve();
+                });
+            });
         }
-        res.json({ 
-            access_records: rows,
-            timestamp: new Date().toISOString(),
-            total: rows.length
-        });
-    });
-});
+    },
 
-app.get('/debug/access/:email', (req, res) => {
-    const email = req.params.email;
-    console.log(`🐛 DEBUG: Verificando acessos para ${email}`);
-    
-    const query = `
-        SELECT ua.*, p.name as product_name, p.plano_1, p.plano_2, p.plano_3
-        FROM user_access ua
-        LEFT JOIN products p ON (p.plano_1 = ua.plan_code OR p.plano_2 = ua.plan_code OR p.plano_3 = ua.plan_code)
-        WHERE ua.email = ?
-        ORDER BY ua.created_at DESC
-    `;
-    
-    db.all(query, [email], (err, rows) => {
-        if (err) {
-            return res.status(500).json({ error: err.message });
+    // Produção: SMTP via nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+    smtp: {
+        transporter: null,
+
+        send(message) {
+            if (!this.transporter) {
+                const nodemailer = require('nodemailer');
+                this.transporter = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? {
+                        user: process.env.SMTP_USER,
+                        pass: process.env.SMTP_PASS
+                    } : undefined
+                });
+            }
+
+            return this.transporter.sendMail(message);
         }
-        res.json({ 
-            email,
-            access_records: rows,
-            total: rows.length,
-            timestamp: new Date().toISOString()
-        });
-    });
-});
+    }
+};
 
-app.post('/debug/simulate-access', (req, res) => {
-    const { email, plan_code } = req.body;
-    
-    if (!email || !plan_code) {
-        return res.status(400).json({ error: 'Email e plan_code são obrigatórios' });
+function sendMail(message) {
+    const transport = mailTransports[MAIL_TRANSPORT];
+
+    if (!transport) {
+        return Promise.reject(new Error(`Transporte de email desconhecido: ${MAIL_TRANSPORT}`));
     }
-    
-    const insertQuery = `
-        INSERT INTO user_access 
-        (email, product_code, plan_code, plan_name, sale_amount, payment_id, status)
-        VALUES (?, ?, ?, ?, ?, ?, 'active')
-    `;
-    
-    db.run(insertQuery, [
-        email,
-        plan_code,
-        plan_code,
-        'Plano Teste',
-        99.99,
-        'TEST_' + Date.now()
-    ], function(err) {
-        if (err) {
-            console.error('❌ Erro ao inserir acesso:', err);
-            return res.status(500).json({ error: err.message });
-        }
-        
-        console.log(`✅ Acesso liberado manualmente: ${email} → ${plan_code}`);
-        res.json({ 
-            success: true, 
-            message: 'Acesso liberado para teste',
-            access_id: this.lastID,
-            timestamp: new Date().toISOString()
-        });
-    });
-});
 
-// API ROUTES - PRODUCTS
-app.get('/api/products', (req, res) => {
-    console.log(`📦 API: Carregando produtos (${new Date().toLocaleTimeString()})`);
-    
-    const query = `
+    return transport.send({ from: MAIL_FROM, ...message });
+}
+
+// =============================================================================
+// MEMBER LOGIN - código de uso único / magic link por email
+// =============================================================================
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function hashToken(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// =============================================================================
+// SESSÕES ASSINADAS - tokens HMAC com expiração
+// =============================================================================
+
+// Formato: base64url(payload JSON).base64url(HMAC-SHA256)
+function signToken(payload, ttlSeconds) {
+    const body = Buffer.from(JSON.stringify({
+        ...payload,
+        exp: Math.floor(Date.now() / 1000) + ttlSeconds
+    })).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+// Retorna o payload se a assinatura e a expiração forem válidas, senão null
+function verifyToken(token, expectedType) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+        return null;
+    }
+
+    const [body, signature] = token.split('.');
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+
+    if (!safeEqual(signature, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (payload.typ !== expectedType || !payload.exp || payload.exp < Date.now() / 1000) {
+            return null;
+        }
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+function setMemberCookies(res, accessToken, refreshToken, remember) {
+    const base = { httpOnly: true, sameSite: 'lax', secure: COOKIE_SECURE };
+
+    res.cookie('vip_session', accessToken, {
+        ...base,
+        path: '/',
+        maxAge: remember ? ACCESS_TOKEN_TTL_SECONDS * 1000 : undefined
+    });
+    res.cookie('vip_refresh', refreshToken, {
+        ...base,
+        path: '/api/auth',
+        maxAge: remember ? MEMBER_SESSION_TTL_DAYS * 24 * 60 * 60 * 1000 : undefined
+    });
+}
+
+function clearMemberCookies(res) {
+    res.clearCookie('vip_session', { path: '/' });
+    res.clearCookie('vip_refresh', { path: '/api/auth' });
+}
+
+// Cria a sessão no banco e devolve { accessToken, refreshToken }
+function createMemberSession(email, req, remember, callback) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+    const query = `
+        INSERT INTO member_sessions (id, email, refresh_token_hash, remember, user_agent, ip, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))
+    `;
+
+    db.run(query, [
+        sessionId,
+        email,
+        hashToken(refreshToken),
+        remember ? 1 : 0,
+        req.get('User-Agent') || null,
+        req.ip,
+        `+${MEMBER_SESSION_TTL_DAYS} days`
+    ], (err) => {
+        if (err) return callback(err);
+
+        callback(null, {
+            accessToken: signToken({ typ: 'member', sid: sessionId, email }, ACCESS_TOKEN_TTL_SECONDS),
+            refreshToken
+        });
+    });
+}
+
+function revokeMemberSession(sessionId, reason, callback) {
+    db.run(
+        `UPDATE member_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL`,
+        [reason, sessionId],
+        callback
+    );
+}
+
+// Revoga todas as sessões ativas de um email (logout geral, troca de email, etc.)
+function revokeMemberSessionsByEmail(email, reason, callback) {
+    db.run(
+        `UPDATE member_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE email = ? AND revoked_at IS NULL`,
+        [reason, normalizeEmail(email)],
+        callback
+    );
+}
+
+// Middleware: exige sessão de membro válida (Bearer ou cookie vip_session) e define req.member
+function requireMemberSession(req, res, next) {
+    const token = getBearerToken(req) || req.cookies.vip_session;
+    const payload = verifyToken(token, 'member');
+
+    if (!payload) {
+        return res.status(401).json({
+            success: false,
+            error: token ? 'Sessão inválida ou expirada' : 'Login necessário',
+            code: token ? 'SESSION_INVALID' : 'SESSION_REQUIRED'
+        });
+    }
+
+    const query = `
+        SELECT * FROM member_sessions
+        WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+    `;
+
+    db.get(query, [payload.sid], (err, session) => {
+        if (err) {
+            console.error('❌ Erro ao validar sessão:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        if (!session) {
+            return res.status(401).json({ success: false, error: 'Sessão encerrada', code: 'SESSION_REVOKED' });
+        }
+
+        req.member = { email: session.email, sessionId: session.id };
+        next();
+    });
+}
+
+// =============================================================================
+// MEMBER AUTH ROUTES
+// =============================================================================
+
+app.post('/api/auth/request-code', (req, res) => {
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_REGEX.test(email)) {
+        return res.status(400).json({ success: false, error: 'Email inválido' });
+    }
+
+    const recentQuery = `
+        SELECT id FROM login_codes
+        WHERE email = ? AND created_at > datetime('now', ?)
+        LIMIT 1
+    `;
+
+    db.get(recentQuery, [email, `-${LOGIN_CODE_RESEND_SECONDS} seconds`], (err, recent) => {
+        if (err) {
+            console.error('❌ Erro ao verificar códigos recentes:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        if (recent) {
+            return res.status(429).json({
+                success: false,
+                error: `Aguarde ${LOGIN_CODE_RESEND_SECONDS} segundos para solicitar um novo código`
+            });
+        }
+
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        const linkToken = crypto.randomBytes(32).toString('hex');
+
+        const insertQuery = `
+            INSERT INTO login_codes (email, code_hash, link_token_hash, expires_at)
+            VALUES (?, ?, ?, datetime('now', ?))
+        `;
+
+        db.run(insertQuery, [email, hashToken(code), hashToken(linkToken), `+${LOGIN_CODE_TTL_MINUTES} minutes`], (err) => {
+            if (err) {
+                console.error('❌ Erro ao gerar código de login:', err);
+                return res.status(500).json({ success: false, error: 'Erro interno' });
+            }
+
+            const magicLink = `${APP_URL}/?login=${linkToken}`;
+
+            sendMail({
+                to: email,
+                subject: `Seu código de acesso: ${code}`,
+                text: [
+                    'Olá!',
+                    '',
+                    `Seu código de acesso à Área de Membros VIP é: ${code}`,
+                    '',
+                    `Ou entre direto pelo link: ${magicLink}`,
+                    '',
+                    `O código expira em ${LOGIN_CODE_TTL_MINUTES} minutos. Se você não solicitou, ignore este email.`
+                ].join('\n'),
+                html: `
+                    <p>Olá!</p>
+                    <p>Seu código de acesso à Área de Membros VIP é:</p>
+                    <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+                    <p><a href="${magicLink}">Ou clique aqui para entrar direto</a></p>
+                    <p style="color: #999;">O código expira em ${LOGIN_CODE_TTL_MINUTES} minutos. Se você não solicitou, ignore este email.</p>
+                `
+            }).then(() => {
+                console.log(`📧 Código de login enviado para ${email}`);
+                res.json({
+                    success: true,
+                    message: 'Enviamos um código de acesso para o seu email',
+                    expires_in: LOGIN_CODE_TTL_MINUTES * 60,
+                    timestamp: new Date().toISOString()
+                });
+            }).catch(error => {
+                console.error('❌ Erro ao enviar email de login:', error);
+                res.status(502).json({ success: false, error: 'Não foi possível enviar o email. Tente novamente.' });
+            });
+        });
+    });
+});
+
+// Aceita { email, code } (código digitado) ou { token } (magic link)
+app.post('/api/auth/verify', (req, res) => {
+    const { code, token } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!token && (!email || !code)) {
+        return res.status(400).json({ success: false, error: 'Informe email e código' });
+    }
+
+    const query = token
+        ? `SELECT * FROM login_codes WHERE link_token_hash = ? AND used_at IS NULL AND expires_at > datetime('now') LIMIT 1`
+        : `SELECT * FROM login_codes WHERE email = ? AND used_at IS NULL AND expires_at > datetime('now') ORDER BY created_at DESC, id DESC LIMIT 1`;
+
+    db.get(query, [token ? hashToken(token) : email], (err, loginCode) => {
+        if (err) {
+            console.error('❌ Erro ao buscar código de login:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        if (!loginCode) {
+            return res.status(401).json({ success: false, error: 'Código inválido ou expirado' });
+        }
+
+        if (loginCode.attempts >= LOGIN_CODE_MAX_ATTEMPTS) {
+            return res.status(429).json({ success: false, error: 'Muitas tentativas. Solicite um novo código.' });
+        }
+
+        if (!token && !safeEqual(loginCode.code_hash, hashToken(String(code).trim()))) {
+            db.run('UPDATE login_codes SET attempts = attempts + 1 WHERE id = ?', [loginCode.id]);
+            console.log(`❌ Código incorreto para ${email}`);
+            return res.status(401).json({ success: false, error: 'Código inválido ou expirado' });
+        }
+
+        db.run('UPDATE login_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL', [loginCode.id], function(err) {
+            if (err || this.changes === 0) {
+                return res.status(401).json({ success: false, error: 'Código inválido ou expirado' });
+            }
+
+            const remember = req.body.remember !== false;
+
+            createMemberSession(loginCode.email, req, remember, (err, tokens) => {
+                if (err) {
+                    console.error('❌ Erro ao criar sessão:', err);
+                    return res.status(500).json({ success: false, error: 'Erro interno' });
+                }
+
+                setMemberCookies(res, tokens.accessToken, tokens.refreshToken, remember);
+
+                console.log(`🔑 Login verificado: ${loginCode.email}`);
+                res.json({
+                    success: true,
+                    email: loginCode.email,
+                    access_token: tokens.accessToken,
+                    refresh_token: tokens.refreshToken,
+                    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+                    timestamp: new Date().toISOString()
+                });
+            });
+        });
+    });
+});
+
+// Troca o refresh token (cookie vip_refresh ou body) por um novo par de tokens
+app.post('/api/auth/refresh', (req, res) => {
+    const refreshToken = req.cookies.vip_refresh || req.body.refresh_token;
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+
+    if (!sessionId) {
+        return res.status(401).json({ success: false, error: 'Login necessário', code: 'SESSION_REQUIRED' });
+    }
+
+    const sessionQuery = `
+        SELECT *, (expires_at > datetime('now')) AS is_current
+        FROM member_sessions WHERE id = ?
+    `;
+
+    db.get(sessionQuery, [sessionId], (err, session) => {
+        if (err) {
+            console.error('❌ Erro ao buscar sessão:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        if (!session || session.revoked_at || !session.is_current) {
+            clearMemberCookies(res);
+            return res.status(401).json({ success: false, error: 'Sessão encerrada', code: 'SESSION_REVOKED' });
+        }
+
+        // Refresh token antigo reutilizado: possível roubo, encerra a sessão inteira
+        if (!safeEqual(session.refresh_token_hash, hashToken(refreshToken))) {
+            console.log(`🚨 Refresh token reutilizado na sessão ${session.id} (${session.email}) - revogando`);
+            revokeMemberSession(session.id, 'refresh_reuse', () => {
+                clearMemberCookies(res);
+                res.status(401).json({ success: false, error: 'Sessão inválida', code: 'SESSION_INVALID' });
+            });
+            return;
+        }
+
+        const newRefreshToken = `${session.id}.${crypto.randomBytes(32).toString('hex')}`;
+        const updateQuery = `
+            UPDATE member_sessions
+            SET refresh_token_hash = ?, last_refreshed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND refresh_token_hash = ?
+        `;
+
+        db.run(updateQuery, [hashToken(newRefreshToken), session.id, session.refresh_token_hash], function(err) {
+            if (err || this.changes === 0) {
+                return res.status(401).json({ success: false, error: 'Sessão inválida', code: 'SESSION_INVALID' });
+            }
+
+            const accessToken = signToken({ typ: 'member', sid: session.id, email: session.email }, ACCESS_TOKEN_TTL_SECONDS);
+            setMemberCookies(res, accessToken, newRefreshToken, session.remember === 1);
+
+            res.json({
+                success: true,
+                email: session.email,
+                access_token: accessToken,
+                refresh_token: newRefreshToken,
+                expires_in: ACCESS_TOKEN_TTL_SECONDS,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+app.get('/api/auth/session', requireMemberSession, (req, res) => {
+    res.json({
+        success: true,
+        email: req.member.email,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.post('/api/auth/logout', requireMemberSession, (req, res) => {
+    revokeMemberSession(req.member.sessionId, 'logout', (err) => {
+        if (err) {
+            console.error('❌ Erro ao encerrar sessão:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        clearMemberCookies(res);
+        console.log(`👋 Sessão encerrada: ${req.member.email}`);
+        res.json({ success: true, message: 'Sessão encerrada' });
+    });
+});
+
+// Encerra todas as sessões do membro em todos os dispositivos
+app.post('/api/auth/logout-all', requireMemberSession, (req, res) => {
+    revokeMemberSessionsByEmail(req.member.email, 'logout_all', function(err) {
+        if (err) {
+            console.error('❌ Erro ao encerrar sessões:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        clearMemberCookies(res);
+        console.log(`👋 ${this.changes} sessão(ões) encerrada(s): ${req.member.email}`);
+        res.json({ success: true, message: 'Todas as sessões foram encerradas', sessions_revoked: this.changes });
+    });
+});
+
+// DEBUG ROUTES
+app.use('/debug', (req, res, next) => {
+    if (!DEBUG_ROUTES_ENABLED) {
+        return res.status(404).json({ error: 'Rotas de debug desativadas' });
+    }
+    next();
+});
+
+app.get('/debug/products', requirePermission('products:write'), (req, res) => {
+    console.log(`🐛 DEBUG: Listando produtos (${new Date().toLocaleTimeString()})`);
+    
+    db.all('SELECT * FROM products ORDER BY updated_at DESC', [], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        res.json({ 
+            products: rows,
+            timestamp: new Date().toISOString(),
+            total: rows.length
+        });
+    });
+});
+
+app.get('/debug/access', requirePermission('access:read'), (req, res) => {
+    console.log(`🐛 DEBUG: Listando acessos (${new Date().toLocaleTimeString()})`);
+    
+    db.all('SELECT * FROM user_access ORDER BY created_at DESC LIMIT 50', [], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        res.json({ 
+            access_records: rows,
+            timestamp: new Date().toISOString(),
+            total: rows.length
+        });
+    });
+});
+
+app.get('/debug/access/:email', requirePermission('access:read'), (req, res) => {
+    const email = normalizeEmail(req.params.email);
+    console.log(`🐛 DEBUG: Verificando acessos para ${email}`);
+    
+    const query = `
+        SELECT ua.*, ${ACCESS_PRODUCT_NAMES_SELECT}
+        FROM user_access ua
+        WHERE LOWER(ua.email) = ?
+        ORDER BY ua.created_at DESC
+    `;
+    
+    db.all(query, [email], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ error: err.message });
+        }
+        res.json({ 
+            email,
+            access_records: rows,
+            total: rows.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+app.post('/debug/simulate-access', requirePermission('access:write'), (req, res) => {
+    const { email, plan_code } = req.body;
+    
+    if (!email || !plan_code) {
+        return res.status(400).json({ error: 'Email e plan_code são obrigatórios' });
+    }
+    
+    const insertQuery = `
+        INSERT INTO user_access 
+        (email, product_code, plan_code, plan_name, sale_amount, payment_id, status, is_test)
+        VALUES (?, ?, ?, ?, ?, ?, 'active', 1)
+    `;
+    
+    db.run(insertQuery, [
+        email,
+        plan_code,
+        plan_code,
+        'Plano Teste',
+        99.99,
+        'TEST_' + Date.now()
+    ], function(err) {
+        if (err) {
+            console.error('❌ Erro ao inserir acesso:', err);
+            return res.status(500).json({ error: err.message });
+        }
+        
+        console.log(`🧪 Acesso de TESTE liberado por ${req.admin.username}: ${email} → ${plan_code}`);
+        res.json({ 
+            success: true, 
+            message: 'Acesso liberado para teste',
+            access_id: this.lastID,
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+// =============================================================================
+// PLANOS DOS PRODUTOS (product_plans)
+// =============================================================================
+
+// Colunas antigas, mantidas na tabela só para a migração
+const LEGACY_PLAN_COLUMNS = ['plano_1', 'plano_2', 'plano_3'];
+
+// Subquery com os códigos do produto "p" em ordem, separados por \x1f (lida por applyProductPlans)
+const PRODUCT_PLANS_SELECT = `(SELECT GROUP_CONCAT(plan_code, char(31) ORDER BY position, id) FROM product_plans WHERE product_id = p.id) as plans_list`;
+
+// Subquery com os nomes dos produtos liberados pelo plan_code do acesso "ua"
+const ACCESS_PRODUCT_NAMES_SELECT = `(SELECT GROUP_CONCAT(pr.name, ', ') FROM product_plans pp JOIN products pr ON pr.id = pp.product_id WHERE pp.plan_code = ua.plan_code) as product_name`;
+
+function applyProductPlans(product) {
+    product.plans = product.plans_list ? product.plans_list.split('\x1f') : [];
+    delete product.plans_list;
+    LEGACY_PLAN_COLUMNS.forEach(column => delete product[column]);
+    return product;
+}
+
+// Códigos enviados pelo painel em "plans" (ou nos antigos plano_1/2/3), sem vazios/repetidos.
+// null quando o payload não fala de planos (mantém os atuais).
+function normalizePlanCodes(body) {
+    const hasLegacy = LEGACY_PLAN_COLUMNS.some(column => column in body);
+    
+    if (!Array.isArray(body.plans) && !hasLegacy) {
+        return null;
+    }
+    
+    const source = Array.isArray(body.plans) ? body.plans : LEGACY_PLAN_COLUMNS.map(column => body[column]);
+    return [...new Set(source.map(code => String(code || '').trim()).filter(Boolean))];
+}
+
+// Produto criado na mesma transação: o AUTOINCREMENT guarda o último id em sqlite_sequence
+const NEW_PRODUCT_ID = Symbol('new-product');
+
+// [trecho SQL, parâmetros] que identificam o produto dentro dos comandos
+function productIdSql(productId) {
+    return productId === NEW_PRODUCT_ID
+        ? ["(SELECT seq FROM sqlite_sequence WHERE name = 'products')", []]
+        : ['?', [productId]];
+}
+
+// Comandos que substituem os códigos de plano do produto (nenhum quando planCodes é null)
+function productPlanStatements(productId, planCodes) {
+    if (planCodes === null) {
+        return [];
+    }
+    
+    const [idSql, idParams] = productIdSql(productId);
+    const statements = [[`DELETE FROM product_plans WHERE product_id = ${idSql}`, idParams]];
+    
+    if (planCodes.length > 0) {
+        statements.push([
+            `INSERT INTO product_plans (product_id, plan_code, position) VALUES ${planCodes.map(() => `(${idSql}, ?, ?)`).join(', ')}`,
+            planCodes.flatMap((code, index) => [...idParams, code, index])
+        ]);
+    }
+    return statements;
+}
+
+// Comandos que sincronizam a galeria do produto (itens sem url/tipo são ignorados). Item com o "id" de uma
+// mídia do próprio produto é atualizado no lugar, mantendo o id do progresso (member_progress) e dos links
+// assinados de /media/stream; sem id (ou de outro produto) vira mídia nova. O que saiu da lista é apagado.
+// restoreIds (rollback): item apagado desde a revisão volta com o mesmo id se ele estiver livre (o
+// AUTOINCREMENT não reaproveita ids), reencontrando o progresso que ficou gravado para ele.
+function productGalleryStatements(productId, gallery, { restoreIds = false } = {}) {
+    const [idSql, idParams] = productIdSql(productId);
+    const idValue = restoreIds
+        ? `COALESCE((SELECT id FROM product_media WHERE id = ? AND product_id = ${idSql}), (SELECT ? WHERE NOT EXISTS (SELECT 1 FROM product_media WHERE id = ?)))`
+        : `(SELECT id FROM product_media WHERE id = ? AND product_id = ${idSql})`;
+    const items = (gallery || []).filter(item => item.url && item.type);
+    const keptIds = items.map(item => parseInt(item.id, 10)).filter(id => id > 0);
+    const statements = [[
+        `DELETE FROM product_media WHERE product_id = ${idSql}${keptIds.length > 0 ? ` AND id NOT IN (${keptIds.map(() => '?').join(', ')})` : ''}`,
+        [...idParams, ...keptIds]
+    ]];
+    
+    if (items.length > 0) {
+        statements.push([`
+            INSERT INTO product_media (id, product_id, type, url, order_index, release_after_days, release_at, is_preview)
+            VALUES ${items.map(() => `(${idValue}, ${idSql}, ?, ?, ?, ?, ?, ?)`).join(', ')}
+            ON CONFLICT(id) DO UPDATE SET
+                type = excluded.type, url = excluded.url, order_index = excluded.order_index,
+                release_after_days = excluded.release_after_days, release_at = excluded.release_at, is_preview = excluded.is_preview
+        `, items.flatMap((item, index) => {
+            const mediaId = parseInt(item.id, 10) || null;
+            return [
+                mediaId, ...idParams, ...(restoreIds ? [mediaId, mediaId] : []), ...idParams,
+                item.type, item.url, index, ...mediaReleaseValues(item), item.is_preview ? 1 : 0
+            ];
+        })]);
+    }
+    return statements;
+}
+
+// Galeria do produto "p" (LEFT JOIN product_media pm ... GROUP BY p.id) como array JSON, lida por applyProductGallery
+const PRODUCT_GALLERY_SELECT = `'[' || GROUP_CONCAT(
+    CASE WHEN pm.id IS NOT NULL THEN json_object('id', pm.id, 'type', pm.type, 'url', pm.url, 'order_index', pm.order_index, 'release_after_days', pm.release_after_days, 'release_at', pm.release_at, 'is_preview', pm.is_preview) END
+    ORDER BY pm.order_index
+) || ']' as gallery_json`;
+
+function applyProductGallery(product) {
+    try {
+        product.gallery = product.gallery_json ? JSON.parse(product.gallery_json) : [];
+    } catch (e) {
+        console.error(`❌ Erro ao processar galeria do produto ${product.id}:`, e);
+        product.gallery = [];
+    }
+    delete product.gallery_json;
+    return product;
+}
+
+// =============================================================================
+// TRANSAÇÕES - uma de cada vez na conexão dedicada (transactionDb)
+// =============================================================================
+
+const transactionQueue = [];
+let transactionActive = false;
+
+// Executa os comandos [sql, params, check?] entre BEGIN e COMMIT na transactionDb. As consultas das
+// outras requisições seguem na conexão principal (db), fora da transação: leem o último estado
+// confirmado e, se forem gravar, esperam o COMMIT/ROLLBACK pelo lock do SQLite (busyTimeout) em vez
+// de entrar nela e serem desfeitas junto. check(this) pode devolver um erro para desfazer tudo.
+// callback(err, results) recebe o "this" (lastID/changes) de cada comando.
+function runTransaction(statements, callback) {
+    transactionQueue.push({ statements, callback });
+    
+    if (!transactionActive) {
+        nextTransaction();
+    }
+}
+
+function nextTransaction() {
+    const job = transactionQueue.shift();
+    
+    if (!job) {
+        transactionActive = false;
+        return;
+    }
+    transactionActive = true;
+    
+    const results = [];
+    let failure = null;
+    
+    const finish = (err) => {
+        job.callback(err || null, results);
+        nextTransaction();
+    };
+    
+    // IMMEDIATE já reserva a escrita; sem o BEGIN os comandos não podem rodar (seriam gravados um a um)
+    transactionDb.run('BEGIN IMMEDIATE TRANSACTION', (err) => {
+        if (err) {
+            return finish(err);
+        }
+        
+        transactionDb.serialize(() => {
+            job.statements.forEach(([sql, params, check]) => {
+                transactionDb.run(sql, params, function(err) {
+                    results.push(this);
+                    failure = failure || err || (check && check(this)) || null;
+                });
+            });
+            
+            // Último da fila: todos os comandos acima já terminaram
+            transactionDb.get('SELECT 1', () => {
+                transactionDb.run(failure ? 'ROLLBACK' : 'COMMIT', (err) => {
+                    if (failure || !err) {
+                        return finish(failure);
+                    }
+                    // COMMIT falhou: a transação continua aberta
+                    transactionDb.run('ROLLBACK', () => finish(err));
+                });
+            });
+        });
+    });
+}
+
+// Todos os produtos liberados por um código de oferta
+function findProductsByPlanCode(planCode, callback) {
+    const query = `
+        SELECT p.* FROM products p
+        JOIN product_plans pp ON pp.product_id = p.id
+        WHERE pp.plan_code = ? AND p.deleted_at IS NULL
+        ORDER BY p.id
+    `;
+    
+    db.all(query, [planCode], callback);
+}
+
+// =============================================================================
+// LIBERAÇÃO PROGRAMADA (DRIP) DA GALERIA
+// =============================================================================
+
+// Datas do SQLite ("YYYY-MM-DD HH:MM:SS") estão em UTC
+function parseSqliteDateTime(value) {
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+// [release_after_days, release_at] de um item enviado pelo painel (null = sem agendamento)
+function mediaReleaseValues(item) {
+    const days = parseInt(item.release_after_days, 10);
+    const text = String(item.release_at || '').trim();
+    // Data sem hora libera no início do dia
+    const releaseAt = /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text} 00:00:00` : toSqliteDateTime(text);
+    
+    return [days > 0 ? days : null, releaseAt || null];
+}
+
+// Momento em que o item libera para um acesso criado em accessStart (o mais tardio entre
+// "N dias após a compra" e a data fixa). null = sem agendamento; undefined = depende de uma compra que não existe.
+function mediaUnlockAt(item, accessStart) {
+    const dates = [];
+    
+    if (item.release_at) {
+        dates.push(parseSqliteDateTime(item.release_at).getTime());
+    }
+    
+    if (item.release_after_days) {
+        if (!accessStart) {
+            return undefined;
+        }
+        dates.push(parseSqliteDateTime(accessStart).getTime() + item.release_after_days * 24 * 60 * 60 * 1000);
+    }
+    
+    return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+}
+
+// Troca a URL dos itens ainda bloqueados pela data de liberação
+function applyDripSchedule(gallery, accessStart) {
+    return gallery.map(item => {
+        const { release_after_days, release_at, ...media } = item;
+        const unlockAt = mediaUnlockAt(item, accessStart);
+        
+        if (unlockAt === null || (unlockAt && unlockAt.getTime() <= Date.now())) {
+            return media;
+        }
+        
+        return {
+            id: media.id,
+            type: media.type,
+            order_index: media.order_index,
+            locked: true,
+            unlock_at: unlockAt ? unlockAt.toISOString() : null,
+            release_after_days: release_after_days || null
+        };
+    });
+}
+
+// =============================================================================
+// STREAMING PROTEGIDO - links assinados para vídeos, galeria e anexos
+// =============================================================================
+
+// Onde buscar a URL original de cada tipo de item (sempre amarrado ao produto do link)
+const MEDIA_SOURCE_QUERIES = {
+    main: 'SELECT main_video as url FROM products WHERE id = ?',
+    media: 'SELECT url, release_after_days, release_at FROM product_media WHERE product_id = ? AND id = ?',
+    lesson: `
+        SELECT l.video_url as url, m.release_after_days, m.release_at
+        FROM product_lessons l JOIN product_modules m ON m.id = l.module_id
+        WHERE m.product_id = ? AND l.id = ?
+    `,
+    attachment: `
+        SELECT a.url, m.release_after_days, m.release_at
+        FROM lesson_attachments a
+        JOIN product_lessons l ON l.id = a.lesson_id
+        JOIN product_modules m ON m.id = l.module_id
+        WHERE m.product_id = ? AND a.id = ?
+    `
+};
+
+// Caminho relativo (o player usa a mesma origem da página)
+function signMediaUrl(email, productId, kind, itemId) {
+    const token = signToken({ typ: 'media', e: email, p: productId, k: kind, i: itemId }, MEDIA_URL_TTL_MINUTES * 60);
+    return `/media/stream/${token}`;
+}
+
+// Prévia enviada ao servidor passa pela rota pública de prévia (o link direto de vídeo em /uploads é bloqueado)
+function previewMediaUrl(productId, url, mediaId) {
+    if (!url || !localUploadPath(url)) {
+        return url;
+    }
+    return mediaId ? `/media/preview/${productId}/${mediaId}` : `/media/preview/${productId}`;
+}
+
+// Visão de quem não comprou: só a prévia, sem vídeo principal, link de acesso ou galeria paga
+function toTeaserProduct(product) {
+    const { main_video, access_url, ...teaser } = product;
+    
+    teaser.preview_video = previewMediaUrl(product.id, product.preview_video, null);
+    teaser.gallery = (product.gallery || [])
+        .filter(item => item.is_preview)
+        .map(({ id, type, url, order_index }) => ({ id, type, url: previewMediaUrl(product.id, url, id), order_index, is_preview: 1 }));
+    
+    return teaser;
+}
+
+// Troca as URLs do comprador por links assinados (itens ainda bloqueados pelo drip já vêm sem URL)
+function protectProductMedia(product, email) {
+    if (product.main_video) {
+        product.main_video = signMediaUrl(email, product.id, 'main', null);
+    }
+    product.preview_video = previewMediaUrl(product.id, product.preview_video, null);
+    
+    product.gallery = product.gallery.map(item => (
+        item.url ? { ...item, url: signMediaUrl(email, product.id, 'media', item.id) } : item
+    ));
+    product.media_expires_at = new Date(Date.now() + MEDIA_URL_TTL_MINUTES * 60 * 1000).toISOString();
+    
+    return product;
+}
+
+// Regra única de acesso ao conteúdo (mídia, aulas, downloads, progresso): compra ativa de produto já
+// lançado ou produto gratuito (sem planos) no ar. callback(err, { start, purchase }) ou null sem acesso; purchase é a linha de
+// user_access (null no gratuito) e start, o início da contagem do drip.
+function checkMediaAccess(email, productId, callback) {
+    getMemberProductAccess(email, productId, (err, purchase) => {
+        if (err || purchase) {
+            return callback(err, purchase ? { start: purchase.created_at, purchase } : null);
+        }
+        
+        // Produto gratuito só vale enquanto estiver no ar (rascunho, agendado ou fora da janela não)
+        const query = `SELECT (SELECT COUNT(*) FROM product_plans WHERE product_id = p.id) as total FROM products p WHERE p.id = ? AND ${PRODUCT_LIVE_CONDITION}`;
+        
+        db.get(query, [productId], (err, row) => {
+            callback(err, row && row.total === 0 ? { start: null, purchase: null } : null);
+        });
+    });
+}
+
+// Arquivo enviado ao servidor (/uploads/<nome>) ou null se a URL for externa
+function localUploadPath(url) {
+    const relative = url.startsWith(`${APP_URL}/`) ? url.slice(APP_URL.length) : url;
+    const match = relative.match(/^\/uploads\/([\w-][\w.-]*)$/);
+    return match ? path.resolve('uploads', match[1]) : null;
+}
+
+// Repassa o conteúdo externo preservando Range (para o player conseguir avançar o vídeo)
+function proxyRemoteMedia(url, req, res) {
+    const controller = new AbortController();
+    const headers = {};
+    
+    if (req.headers.range) {
+        headers.Range = req.headers.range;
+    }
+    req.on('close', () => controller.abort());
+    
+    fetch(url, { headers, signal: controller.signal })
+        .then(upstream => {
+            if (!upstream.ok || !upstream.body) {
+                console.error(`❌ Origem da mídia respondeu ${upstream.status}: ${url}`);
+                return res.status(502).json({ success: false, error: 'Mídia indisponível no momento' });
+            }
+            
+            res.status(upstream.status);
+            ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'].forEach(name => {
+                const value = upstream.headers.get(name);
+                if (value) {
+                    res.setHeader(name, value);
+                }
+            });
+            res.setHeader('Cache-Control', 'private, max-age=300');
+            
+            Readable.fromWeb(upstream.body).on('error', () => res.destroy()).pipe(res);
+        })
+        .catch(err => {
+            if (err.name === 'AbortError') {
+                return;
+            }
+            console.error(`❌ Erro ao buscar mídia ${url}:`, err.message);
+            if (!res.headersSent) {
+                res.status(502).json({ success: false, error: 'Mídia indisponível no momento' });
+            }
+        });
+}
+
+// Entrega a mídia: arquivo local (sendFile já responde Range/206) ou repasse da URL externa
+function sendMediaSource(url, req, res) {
+    const localPath = localUploadPath(url);
+    
+    if (localPath) {
+        return res.sendFile(localPath, { headers: { 'Cache-Control': 'private, max-age=300' } }, (err) => {
+            if (err && !res.headersSent) {
+                res.status(err.statusCode || 404).json({ success: false, error: 'Mídia não encontrada' });
+            }
+        });
+    }
+    
+    if (!/^https?:\/\//i.test(url)) {
+        return res.status(404).json({ success: false, error: 'Mídia não encontrada' });
+    }
+    
+    proxyRemoteMedia(url, req, res);
+}
+
+app.get('/media/stream/:token', (req, res) => {
+    const payload = verifyToken(req.params.token, 'media');
+    
+    if (!payload || !MEDIA_SOURCE_QUERIES[payload.k]) {
+        return res.status(403).json({ success: false, error: 'Link de mídia inválido ou expirado', code: 'MEDIA_LINK_INVALID' });
+    }
+    
+    // O acesso é conferido de novo a cada requisição: reembolso ou vencimento cortam o link na hora
+    checkMediaAccess(payload.e, payload.p, (err, access) => {
+        if (err) {
+            console.error('❌ Erro ao verificar acesso à mídia:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        if (!access) {
+            console.log(`🔒 Mídia negada: ${payload.e} sem acesso ao produto ${payload.p}`);
+            return res.status(403).json({ success: false, error: 'Você não tem acesso a este conteúdo' });
+        }
+        
+        const params = payload.k === 'main' ? [payload.p] : [payload.p, payload.i];
+        
+        db.get(MEDIA_SOURCE_QUERIES[payload.k], params, (err, item) => {
+            if (err) {
+                console.error('❌ Erro ao buscar mídia:', err);
+                return res.status(500).json({ success: false, error: 'Erro interno' });
+            }
+            
+            if (!item || !item.url) {
+                return res.status(404).json({ success: false, error: 'Mídia não encontrada' });
+            }
+            
+            const unlockAt = mediaUnlockAt(item, access.start);
+            if (unlockAt !== null && (!unlockAt || unlockAt.getTime() > Date.now())) {
+                return res.status(403).json({ success: false, error: 'Conteúdo ainda não liberado', unlock_at: unlockAt ? unlockAt.toISOString() : null });
+            }
+            
+            sendMediaSource(item.url, req, res);
+        });
+    });
+});
+
+// Prévia pública (vídeo de prévia do produto ou item da galeria marcado como prévia)
+app.get('/media/preview/:id/:mediaId?', (req, res) => {
+    const query = req.params.mediaId
+        ? 'SELECT pm.url FROM product_media pm JOIN products p ON p.id = pm.product_id WHERE pm.product_id = ? AND pm.id = ? AND pm.is_preview = 1 AND p.deleted_at IS NULL'
+        : 'SELECT preview_video as url FROM products WHERE id = ? AND deleted_at IS NULL';
+    const params = req.params.mediaId ? [req.params.id, req.params.mediaId] : [req.params.id];
+    
+    db.get(query, params, (err, item) => {
+        if (err) {
+            console.error('❌ Erro ao buscar prévia:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        if (!item || !item.url) {
+            return res.status(404).json({ success: false, error: 'Prévia não encontrada' });
+        }
+        
+        sendMediaSource(item.url, req, res);
+    });
+});
+
+// =============================================================================
+// CATEGORIAS DO CATÁLOGO - prateleiras da home gerenciadas pelo painel
+// =============================================================================
+
+// Prateleira onde aparecem os produtos liberados ao membro (não pode ser removida nem ocultada)
+const MY_PRODUCTS_CATEGORY = 'meus_produtos';
+const CATEGORY_SLUG_REGEX = /^[a-z0-9_]{2,40}$/;
+
+// Campos editáveis de uma categoria (slug é fixo depois de criado: é o valor gravado nos produtos)
+function categoryValues(body) {
+    const name = String(body.name || '').trim();
+    const position = parseInt(body.position, 10);
+    
+    return {
+        name,
+        position: Number.isInteger(position) ? position : null,
+        visible: body.visible === undefined ? 1 : (body.visible && body.visible !== '0' ? 1 : 0),
+        icon: String(body.icon || '').trim().slice(0, 16) || null
+    };
+}
+
+// Home do membro: prateleiras visíveis na ordem configurada
+app.get('/api/categories', (req, res) => {
+    db.all('SELECT slug, name, position, icon FROM categories WHERE visible = 1 ORDER BY position, id', [], (err, categories) => {
+        if (err) {
+            console.error('❌ Erro ao buscar categorias:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+        }
+        
+        res.json({ success: true, categories, timestamp: new Date().toISOString() });
+    });
+});
+
+app.get('/api/admin/categories', requireAdmin, (req, res) => {
+    const query = `
+        SELECT c.*, (SELECT COUNT(*) FROM products p WHERE p.category = c.slug AND p.deleted_at IS NULL) as product_count
+        FROM categories c
+        ORDER BY c.position, c.id
+    `;
+    
+    db.all(query, [], (err, categories) => {
+        if (err) {
+            console.error('❌ Erro ao buscar categorias:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+        }
+        
+        res.json({ success: true, categories, timestamp: new Date().toISOString() });
+    });
+});
+
+app.post('/api/admin/categories', requirePermission('products:write'), (req, res) => {
+    const slug = String(req.body.slug || '').trim().toLowerCase();
+    const values = categoryValues(req.body);
+    
+    if (!CATEGORY_SLUG_REGEX.test(slug)) {
+        return res.status(400).json({ success: false, error: 'Identificador inválido: use 2 a 40 letras minúsculas, números ou _' });
+    }
+    if (!values.name) {
+        return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
+    }
+    
+    const query = `
+        INSERT INTO categories (slug, name, position, visible, icon)
+        VALUES (?, ?, COALESCE(?, (SELECT COALESCE(MAX(position), -1) + 1 FROM categories)), ?, ?)
+    `;
+    
+    db.run(query, [slug, values.name, values.position, values.visible, values.icon], function(err) {
+        if (err && /UNIQUE/i.test(err.message)) {
+            return res.status(409).json({ success: false, error: 'Já existe uma categoria com este identificador' });
+        }
+        if (err) {
+            console.error('❌ Erro ao criar categoria:', err);
+            return res.status(500).json({ success: false, error: 'Erro ao criar categoria' });
+        }
+        
+        console.log(`✅ Categoria criada: ${values.name} (${slug}) por ${req.admin.username}`);
+        res.json({ success: true, category_id: this.lastID, message: 'Categoria criada com sucesso!', timestamp: new Date().toISOString() });
+    });
+});
+
+app.put('/api/admin/categories/:id', requirePermission('products:write'), (req, res) => {
+    const values = categoryValues(req.body);
+    
+    if (!values.name) {
+        return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
+    }
+    
+    db.get('SELECT * FROM categories WHERE id = ?', [req.params.id], (err, category) => {
+        if (err) {
+            console.error('❌ Erro ao buscar categoria:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+        }
+        if (!category) {
+            return res.status(404).json({ success: false, error: 'Categoria não encontrada' });
+        }
+        if (category.slug === MY_PRODUCTS_CATEGORY && !values.visible) {
+            return res.status(400).json({ success: false, error: 'A prateleira dos produtos do membro não pode ser ocultada' });
+        }
+        
+        const query = `
+            UPDATE categories
+            SET name = ?, position = COALESCE(?, position), visible = ?, icon = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        
+        db.run(query, [values.name, values.position, values.visible, values.icon, category.id], (err) => {
+            if (err) {
+                console.error('❌ Erro ao atualizar categoria:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao atualizar categoria' });
+            }
+            
+            res.json({ success: true, message: 'Categoria atualizada com sucesso!', timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+// Só remove prateleiras vazias: os produtos precisam ser movidos antes
+app.delete('/api/admin/categories/:id', requirePermission('products:write'), (req, res) => {
+    db.get('SELECT c.*, (SELECT COUNT(*) FROM products p WHERE p.category = c.slug AND p.deleted_at IS NULL) as product_count FROM categories c WHERE c.id = ?', [req.params.id], (err, category) => {
+        if (err) {
+            console.error('❌ Erro ao buscar categoria:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+        }
+        if (!category) {
+            return res.status(404).json({ success: false, error: 'Categoria não encontrada' });
+        }
+        if (category.slug === MY_PRODUCTS_CATEGORY) {
+            return res.status(400).json({ success: false, error: 'A prateleira dos produtos do membro não pode ser excluída' });
+        }
+        if (category.product_count > 0) {
+            return res.status(409).json({ success: false, error: `Mova os ${category.product_count} produto(s) desta categoria antes de excluí-la` });
+        }
+        
+        db.run('DELETE FROM categories WHERE id = ?', [category.id], (err) => {
+            if (err) {
+                console.error('❌ Erro ao excluir categoria:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao excluir categoria' });
+            }
+            
+            console.log(`🗑️ Categoria excluída: ${category.slug} por ${req.admin.username}`);
+            res.json({ success: true, message: 'Categoria excluída com sucesso!', timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+// =============================================================================
+// PUBLICAÇÃO DOS PRODUTOS - rascunho, agendamento e ordem manual
+// =============================================================================
+
+const PRODUCT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// No ar agora: publicado/agendado dentro da janela publish_at..unpublish_at
+const PRODUCT_LIVE_CONDITION = `(p.deleted_at IS NULL AND p.status IN ('published', 'scheduled')
+    AND (p.publish_at IS NULL OR p.publish_at <= datetime('now'))
+    AND (p.unpublish_at IS NULL OR p.unpublish_at > datetime('now')))`;
+
+// Já foi lançado alguma vez (arquivado ou fora da janela continua na área de quem comprou; da lixeira, não)
+const PRODUCT_RELEASED_CONDITION = `(p.deleted_at IS NULL AND p.status <> 'draft' AND (p.publish_at IS NULL OR p.publish_at <= datetime('now')))`;
+
+// { status, publish_at, unpublish_at } do corpo da requisição, ou { field, error }.
+// Sem "status" no corpo retorna null (a atualização mantém a publicação atual).
+function publishingValues(body, defaultStatus) {
+    if (body.status === undefined && defaultStatus === undefined) {
+        return null;
+    }
+    
+    const status = body.status === undefined ? defaultStatus : String(body.status);
+    const publishAt = toSqliteDateTime(body.publish_at || null);
+    const unpublishAt = toSqliteDateTime(body.unpublish_at || null);
+    
+    if (!PRODUCT_STATUSES.includes(status)) {
+        return { field: 'status', error: `Status inválido (use ${PRODUCT_STATUSES.join(', ')})` };
+    }
+    if (publishAt === undefined || unpublishAt === undefined) {
+        return { field: publishAt === undefined ? 'publish_at' : 'unpublish_at', error: 'Data inválida' };
+    }
+    if (status === 'scheduled' && !publishAt) {
+        return { field: 'publish_at', error: 'Informe a data de publicação do agendamento' };
+    }
+    if (publishAt && unpublishAt && unpublishAt <= publishAt) {
+        return { field: 'unpublish_at', error: 'A data de despublicação deve ser depois da publicação' };
+    }
+    
+    return { status, publish_at: publishAt, unpublish_at: unpublishAt };
+}
+
+// Ordem manual dos produtos dentro de uma categoria (arrastar no painel)
+app.put('/api/admin/products/order', requirePermission('products:write'), (req, res) => {
+    const category = String(req.body.category || '').trim();
+    
+    if (!category) {
+        return res.status(400).json({ success: false, error: 'Informe a categoria' });
+    }
+    
+    reorderRows('products', 'category', category, req.body.order, (err, changes) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao reordenar produtos');
+        }
+        
+        console.log(`↕️ Ordem da categoria ${category} atualizada por ${req.admin.username}`);
+        res.json({ success: true, updated: changes, timestamp: new Date().toISOString() });
+    });
+});
+
+// =============================================================================
+// CONCORRÊNCIA OTIMISTA - versão/ETag do produto
+// =============================================================================
+
+function productETag(productId, version) {
+    return `"product-${productId}-v${version}"`;
+}
+
+// Versão que o painel tinha ao abrir a edição: If-Match (ETag) ou "version" no corpo.
+// null = sem pré-condição; undefined = valor inválido.
+function requestedProductVersion(req) {
+    const ifMatch = req.get('If-Match');
+    
+    if (ifMatch && ifMatch !== '*') {
+        const match = ifMatch.match(/^(?:W\/)?"product-\d+-v(\d+)"$/);
+        return match ? parseInt(match[1], 10) : undefined;
+    }
+    if (req.body.version === undefined || req.body.version === null || req.body.version === '') {
+        return null;
+    }
+    
+    const version = parseInt(req.body.version, 10);
+    return Number.isInteger(version) && version > 0 ? version : undefined;
+}
+
+function versionConflictError() {
+    return Object.assign(new Error('Versão desatualizada'), { statusCode: 409 });
+}
+
+// 409 com a versão atual, para o painel avisar e recarregar
+function sendVersionConflict(res, productId) {
+    db.get('SELECT version, updated_at FROM products WHERE id = ?', [productId], (err, current) => {
+        console.log(`⚠️ Edição desatualizada recusada: produto ${productId}`);
+        res.status(409).json({
+            success: false,
+            error: 'Este produto foi alterado por outra pessoa depois que você abriu a edição. Recarregue para ver a versão atual.',
+            code: 'version_conflict',
+            current_version: current ? current.version : null,
+            updated_at: current ? current.updated_at : null,
+            timestamp: new Date().toISOString()
+        });
+    });
+}
+
+// =============================================================================
+// VALIDAÇÃO DOS PRODUTOS - erros por campo e conflitos de código de plano
+// =============================================================================
+
+const PRODUCT_URL_FIELDS = ['banner_url', 'main_video', 'preview_video', 'access_url', 'buy_url'];
+const GALLERY_TYPES = ['image', 'video'];
+const PRODUCT_GALLERY_LIMIT = 100;
+const PLAN_CODE_REGEX = /^\S{1,100}$/;
+
+// http(s) ou caminho do próprio servidor (/uploads/...)
+function isValidProductUrl(value) {
+    if (/^\/(?!\/)\S*$/.test(value)) {
+        return true;
+    }
+    
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (err) {
+        return false;
+    }
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Regras que não dependem do banco → { campo: mensagem } (itens da galeria como "gallery[2].url").
+// partial (edição): campos ausentes ficam como estão, então só o que veio no corpo é conferido.
+function productFieldErrors(body, defaultStatus, partial) {
+    const errors = {};
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    
+    if (!name && !(partial && body.name === undefined)) {
+        errors.name = 'Nome é obrigatório';
+    } else if (name.length > 200) {
+        errors.name = 'Use no máximo 200 caracteres';
+    }
+    
+    if (!isBlank(body.description) && typeof body.description !== 'string') {
+        errors.description = 'A descrição deve ser texto';
+    } else if (body.description && body.description.length > 20000) {
+        errors.description = 'Use no máximo 20.000 caracteres';
+    }
+    
+    PRODUCT_URL_FIELDS.forEach(field => {
+        if (!isBlank(body[field]) && (typeof body[field] !== 'string' || !isValidProductUrl(body[field].trim()))) {
+            errors[field] = 'URL inválida (use http:// ou https://)';
+        }
+    });
+    
+    if (!isBlank(body.price) && !(Number.isFinite(Number(body.price)) && Number(body.price) >= 0)) {
+        errors.price = 'O preço deve ser um número maior ou igual a zero';
+    }
+    
+    if (!isBlank(body.category) && (typeof body.category !== 'string' || !CATEGORY_SLUG_REGEX.test(body.category))) {
+        errors.category = 'Categoria inválida';
+    }
+    
+    if (body.plans !== undefined && !Array.isArray(body.plans)) {
+        errors.plans = 'Envie os códigos de plano em uma lista';
+    } else {
+        const invalid = (normalizePlanCodes(body) || []).filter(code => !PLAN_CODE_REGEX.test(code));
+        if (invalid.length > 0) {
+            errors.plans = `Código de plano inválido: ${invalid.join(', ')} (sem espaços, até 100 caracteres)`;
+        }
+    }
+    
+    if (!isBlank(body.gallery)) {
+        if (!Array.isArray(body.gallery)) {
+            errors.gallery = 'A galeria deve ser uma lista';
+        } else if (body.gallery.length > PRODUCT_GALLERY_LIMIT) {
+            errors.gallery = `A galeria aceita no máximo ${PRODUCT_GALLERY_LIMIT} itens`;
+        } else {
+            body.gallery.forEach((item, index) => {
+                const prefix = `gallery[${index}]`;
+                
+                if (!item || typeof item !== 'object' || (!isBlank(item.id) && !(Number.isInteger(Number(item.id)) && Number(item.id) > 0))) {
+                    errors[prefix] = 'Item inválido';
+                    return;
+                }
+                if (!GALLERY_TYPES.includes(item.type)) {
+                    errors[`${prefix}.type`] = `Tipo inválido (use ${GALLERY_TYPES.join(' ou ')})`;
+                }
+                if (typeof item.url !== 'string' || !item.url.trim() || !isValidProductUrl(item.url.trim())) {
+                    errors[`${prefix}.url`] = 'URL inválida (use http:// ou https://)';
+                }
+                if (!isBlank(item.release_after_days) && !(Number.isInteger(Number(item.release_after_days)) && Number(item.release_after_days) >= 0)) {
+                    errors[`${prefix}.release_after_days`] = 'Informe um número inteiro de dias';
+                }
+                if (!isBlank(item.release_at) && toSqliteDateTime(item.release_at) === undefined) {
+                    errors[`${prefix}.release_at`] = 'Data inválida';
+                }
+            });
+        }
+    }
+    
+    const publishing = publishingValues(body, defaultStatus);
+    if (publishing && publishing.error) {
+        errors[publishing.field] = publishing.error;
+    }
+    
+    return errors;
+}
+
+// Códigos já usados por outros produtos (fora da lixeira) e ainda não confirmados como combo
+function findPlanCodeConflicts(planCodes, productId, callback) {
+    if (!planCodes || planCodes.length === 0) {
+        return callback(null, []);
+    }
+    
+    const query = `
+        SELECT pp.plan_code, p.id, p.name
+        FROM product_plans pp
+        JOIN products p ON p.id = pp.product_id
+        WHERE pp.plan_code IN (${planCodes.map(() => '?').join(', ')})
+        AND p.id <> ? AND p.deleted_at IS NULL
+        AND pp.plan_code NOT IN (SELECT plan_code FROM shared_plan_codes)
+        ORDER BY pp.plan_code, p.id
+    `;
+    
+    db.all(query, [...planCodes, productId || 0], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        const conflicts = [];
+        rows.forEach(row => {
+            let conflict = conflicts.find(item => item.plan_code === row.plan_code);
+            if (!conflict) {
+                conflict = { plan_code: row.plan_code, products: [] };
+                conflicts.push(conflict);
+            }
+            conflict.products.push({ id: row.id, name: row.name });
+        });
+        callback(null, conflicts);
+    });
+}
+
+// Separa os conflitos confirmados como combo ("shared_plans" do corpo) dos que ainda bloqueiam
+function splitPlanConflicts(conflicts, sharedPlans) {
+    const confirmed = Array.isArray(sharedPlans) ? sharedPlans.map(code => String(code).trim()) : [];
+    
+    return {
+        conflicts: conflicts.filter(conflict => !confirmed.includes(conflict.plan_code)),
+        sharedPlans: conflicts.filter(conflict => confirmed.includes(conflict.plan_code)).map(conflict => conflict.plan_code)
+    };
+}
+
+// Valida o payload inteiro. callback(err, { errors, conflicts, sharedPlans }):
+// conflitos confirmados em "shared_plans" (lista de códigos) deixam de bloquear e viram combos em sharedPlans.
+// options.partial: edição parcial (PUT), sem exigir os campos ausentes.
+function validateProductPayload(body, options, callback) {
+    const errors = productFieldErrors(body, options.defaultStatus, options.partial);
+    const keepsCategory = options.partial && body.category === undefined;
+    const category = body.category || MY_PRODUCTS_CATEGORY;
+    
+    db.get('SELECT slug FROM categories WHERE slug = ?', [category], (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!row && !errors.category && !keepsCategory) {
+            errors.category = 'Categoria não cadastrada';
+        }
+        if (Object.keys(errors).length > 0) {
+            return callback(null, { errors, conflicts: [], sharedPlans: [] });
+        }
+        
+        findPlanCodeConflicts(normalizePlanCodes(body), options.productId, (err, conflicts) => {
+            if (err) {
+                return callback(err);
+            }
+            
+            callback(null, { errors, ...splitPlanConflicts(conflicts, body.shared_plans) });
+        });
+    });
+}
+
+function isValidProduct(validation) {
+    return Object.keys(validation.errors).length === 0 && validation.conflicts.length === 0;
+}
+
+// 400 com os erros por campo, ou 409 com os códigos que já liberam outro produto
+function sendProductValidationErrors(res, validation) {
+    if (Object.keys(validation.errors).length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Corrija os campos destacados',
+            errors: validation.errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    const summary = validation.conflicts
+        .map(conflict => `${conflict.plan_code} (${conflict.products.map(product => product.name).join(', ')})`)
+        .join('; ');
+    
+    res.status(409).json({
+        success: false,
+        code: 'plan_conflict',
+        error: `Código de plano já usado por outro produto: ${summary}. Se for um combo, confirme para liberar os dois produtos na mesma venda.`,
+        errors: { plans: `Já usado por outro produto: ${summary}` },
+        conflicts: validation.conflicts,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Registra os códigos confirmados como combo junto com a gravação do produto
+function sharedPlanStatements(planCodes, admin) {
+    return planCodes.map(code => [
+        'INSERT OR IGNORE INTO shared_plan_codes (plan_code, confirmed_by) VALUES (?, ?)',
+        [code, admin ? admin.username : null]
+    ]);
+}
+
+// API ROUTES - PRODUCTS
+// Admin recebe o cadastro completo; visitantes e membros só a vitrine com a prévia
+app.get('/api/products', optionalAdmin, (req, res) => {
+    console.log(`📦 API: Carregando produtos (${new Date().toLocaleTimeString()})`);
+    
+    const query = `
         SELECT p.*, 
-               GROUP_CONCAT(
-                   json_object('type', pm.type, 'url', pm.url, 'order_index', pm.order_index)
-                   ORDER BY pm.order_index
-               ) as gallery_json
+               ${PRODUCT_GALLERY_SELECT},
+               ${PRODUCT_PLANS_SELECT}
         FROM products p 
         LEFT JOIN product_media pm ON p.id = pm.product_id 
+        WHERE ${req.admin ? 'p.deleted_at IS NULL' : PRODUCT_LIVE_CONDITION}
         GROUP BY p.id 
-        ORDER BY p.updated_at DESC, p.created_at DESC
+        ORDER BY p.position, p.id
+    `;
+    
+    db.all(query, [], (err, rows) => {
+        if (err) {
+            console.error('❌ Erro ao buscar produtos:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+        }
+        
+        const products = rows.map(row => {
+            const product = { ...row };
+            
+            applyProductGallery(product);
+            applyProductPlans(product);
+            return req.admin ? product : toTeaserProduct(product);
+        });
+        
+        console.log(`📦 Retornando ${products.length} produtos atualizados`);
+        res.json({ 
+            success: true, 
+            products,
+            timestamp: new Date().toISOString(),
+            cache_buster: Date.now()
+        });
+    });
+});
+
+app.get('/api/products/:id', optionalAdmin, (req, res) => {
+    const productId = req.params.id;
+    
+    const liveOnly = req.admin ? '' : ` AND ${PRODUCT_LIVE_CONDITION}`;
+    
+    db.get(`SELECT p.*, ${PRODUCT_PLANS_SELECT} FROM products p WHERE p.id = ?${liveOnly}`, [productId], (err, product) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+        }
+        
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+        
+        applyProductPlans(product);
+        
+        db.all('SELECT * FROM product_media WHERE product_id = ? ORDER BY order_index', [productId], (err, media) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+            }
+            
+            product.gallery = media;
+            res.set('ETag', productETag(product.id, product.version));
+            res.json({ 
+                success: true, 
+                product: req.admin ? product : toTeaserProduct(product),
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+app.post('/api/products', requirePermission('products:write'), (req, res) => {
+    const { 
+        name, 
+        description, 
+        banner_url,
+        main_video,
+        preview_video,
+        access_url, 
+        buy_url, 
+        price, 
+        category,
+        gallery
+    } = req.body;
+    const planCodes = normalizePlanCodes(req.body) || [];
+    // Produto novo nasce como rascunho, a não ser que o painel peça outra coisa
+    const publishing = publishingValues(req.body, 'draft');
+    
+    validateProductPayload(req.body, { defaultStatus: 'draft' }, (err, validation) => {
+        if (err) {
+            console.error('❌ Erro ao validar produto:', err);
+            return res.status(500).json({ success: false, error: 'Erro ao criar produto' });
+        }
+        if (!isValidProduct(validation)) {
+            return sendProductValidationErrors(res, validation);
+        }
+        
+        const productCategory = category || MY_PRODUCTS_CATEGORY;
+        const query = `
+            INSERT INTO products (name, description, banner_url, main_video, preview_video, access_url, buy_url, price, category,
+                                  status, publish_at, unpublish_at, position, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM products WHERE category = ?), CURRENT_TIMESTAMP)
+        `;
+        
+        const statements = [
+            [query, [
+                name, 
+                description, 
+                banner_url || null,
+                main_video || null,
+                preview_video || null,
+                access_url || null,
+                buy_url || null,
+                parseFloat(price) || 0,
+                productCategory,
+                publishing.status,
+                publishing.publish_at,
+                publishing.unpublish_at,
+                productCategory
+            ]],
+            ...productPlanStatements(NEW_PRODUCT_ID, planCodes),
+            ...productGalleryStatements(NEW_PRODUCT_ID, gallery),
+            ...sharedPlanStatements(validation.sharedPlans, req.admin),
+            productRevisionStatement(NEW_PRODUCT_ID, 'create', req.admin, null)
+        ];
+        
+        // Produto, códigos, galeria e revisão entram juntos ou nada é gravado
+        runTransaction(statements, (err, results) => {
+            if (err) {
+                console.error('❌ Erro ao criar produto:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao criar produto' });
+            }
+            
+            const productId = results[0].lastID;
+            
+            console.log(`✅ Produto criado: ${name} (ID: ${productId})`);
+            res.set('ETag', productETag(productId, 1));
+            res.json({ 
+                success: true, 
+                productId: productId, 
+                version: 1,
+                message: 'Produto criado com sucesso!',
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// Campos que a edição grava e como cada valor do corpo vira coluna
+const PRODUCT_UPDATE_FIELDS = {
+    name: value => value,
+    description: value => value,
+    banner_url: value => value || null,
+    main_video: value => value || null,
+    preview_video: value => value || null,
+    access_url: value => value || null,
+    buy_url: value => value || null,
+    price: value => parseFloat(value) || 0,
+    category: value => value || MY_PRODUCTS_CATEGORY
+};
+
+// Edição parcial: o que não vier no corpo (campos, "plans", "gallery", "status") fica como está
+app.put('/api/products/:id', requirePermission('products:write'), (req, res) => {
+    const productId = req.params.id;
+    const planCodes = normalizePlanCodes(req.body);
+    const publishing = publishingValues(req.body);
+    const expectedVersion = requestedProductVersion(req);
+    
+    if (expectedVersion === undefined) {
+        return res.status(400).json({ success: false, error: 'Versão inválida (If-Match ou "version")' });
+    }
+    
+    const assignments = Object.keys(PRODUCT_UPDATE_FIELDS)
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, PRODUCT_UPDATE_FIELDS[field](req.body[field])]);
+    if (publishing) {
+        assignments.push(['status', publishing.status], ['publish_at', publishing.publish_at], ['unpublish_at', publishing.unpublish_at]);
+    }
+    
+    const updateQuery = `
+        UPDATE products 
+        SET ${assignments.map(([field]) => `${field} = ?, `).join('')}version = version + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted_at IS NULL AND version = ?
+    `;
+    
+    validateProductPayload(req.body, { productId, partial: true }, (err, validation) => {
+        if (err) {
+            console.error('❌ Erro ao validar produto:', err);
+            return res.status(500).json({ success: false, error: 'Erro ao atualizar produto' });
+        }
+        if (!isValidProduct(validation)) {
+            return sendProductValidationErrors(res, validation);
+        }
+        
+        db.get('SELECT id, version FROM products WHERE id = ? AND deleted_at IS NULL', [productId], (err, current) => {
+            if (err) {
+                console.error('❌ Erro ao atualizar produto:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao atualizar produto' });
+            }
+            if (!current) {
+                return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+            }
+            if (expectedVersion !== null && expectedVersion !== current.version) {
+                return sendVersionConflict(res, productId);
+            }
+            
+            const statements = [
+                // Produto anterior ao histórico: guarda o estado atual antes de sobrescrever
+                baselineRevisionStatement(productId),
+                [updateQuery, [
+                    ...assignments.map(([, value]) => value),
+                    productId,
+                    current.version
+                ], result => (result.changes === 0 ? versionConflictError() : null)],
+                ...productPlanStatements(productId, planCodes),
+                ...(req.body.gallery === undefined ? [] : productGalleryStatements(productId, req.body.gallery)),
+                ...sharedPlanStatements(validation.sharedPlans, req.admin),
+                productRevisionStatement(productId, 'update', req.admin, null)
+            ];
+            
+            runTransaction(statements, (err) => {
+                if (err && err.statusCode === 409) {
+                    return sendVersionConflict(res, productId);
+                }
+                if (err) {
+                    console.error('❌ Erro ao atualizar produto:', err);
+                    return res.status(500).json({ success: false, error: 'Erro ao atualizar produto' });
+                }
+                
+                console.log(`✅ Produto atualizado: ID ${productId} (versão ${current.version + 1}, campos: ${assignments.map(([field]) => field).join(', ') || 'nenhum'})`);
+                res.set('ETag', productETag(productId, current.version + 1));
+                res.json({ 
+                    success: true, 
+                    version: current.version + 1,
+                    message: 'Produto atualizado com sucesso!',
+                    timestamp: new Date().toISOString()
+                });
+            });
+        });
+    });
+});
+
+// Exclusão vai para a lixeira: o produto some da vitrine e da área de membros, mas pode ser restaurado
+app.delete('/api/products/:id', requirePermission('products:write'), (req, res) => {
+    const productId = req.params.id;
+    const query = `
+        UPDATE products SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND deleted_at IS NULL
+    `;
+    
+    db.run(query, [req.admin.username, productId], function(err) {
+        if (err) {
+            console.error('❌ Erro ao deletar produto:', err);
+            return res.status(500).json({ success: false, error: 'Erro ao deletar produto' });
+        }
+        
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+
+        console.log(`🗑️ Produto movido para a lixeira: ID ${productId} por ${req.admin.username}`);
+        res.json({ 
+            success: true, 
+            message: `Produto movido para a lixeira (removido definitivamente em ${TRASH_RETENTION_DAYS} dias)`,
+            retention_days: TRASH_RETENTION_DAYS,
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+// =============================================================================
+// HISTÓRICO DE REVISÕES DOS PRODUTOS - diff entre versões e rollback
+// =============================================================================
+
+// Campos do produto guardados em cada revisão (além de "plans" e "gallery")
+const REVISION_PRODUCT_FIELDS = [
+    'name', 'description', 'banner_url', 'main_video', 'preview_video', 'access_url', 'buy_url',
+    'price', 'category', 'status', 'publish_at', 'unpublish_at'
+];
+const REVISION_GALLERY_FIELDS = ['type', 'url', 'release_after_days', 'release_at', 'is_preview'];
+
+// Foto do produto montada pelo próprio SQLite (json), lida dentro da transação que acabou de gravá-lo.
+// Cada item da galeria leva também o id da mídia, para o rollback atualizar o mesmo item.
+const PRODUCT_SNAPSHOT_SQL = `json_object(
+    ${REVISION_PRODUCT_FIELDS.map(field => `'${field}', p.${field}`).join(', ')},
+    'plans', json((SELECT json_group_array(plan_code) FROM (
+        SELECT plan_code FROM product_plans WHERE product_id = p.id ORDER BY position, id
+    ))),
+    'gallery', json((SELECT json_group_array(json_object('id', id, ${REVISION_GALLERY_FIELDS.map(field => `'${field}', ${field}`).join(', ')})) FROM (
+        SELECT * FROM product_media WHERE product_id = p.id ORDER BY order_index, id
+    )))
+)`;
+
+// Comando que grava a próxima revisão com o estado do produto naquele ponto da transação.
+// Vai junto com a gravação do produto: se ele for confirmado, a revisão também é.
+function productRevisionStatement(productId, action, admin, note, condition = '') {
+    const [idSql, idParams] = productIdSql(productId);
+    
+    return [`
+        INSERT INTO product_revisions (product_id, revision, action, snapshot, note, admin_id, admin_username)
+        SELECT p.id, (SELECT COALESCE(MAX(revision), 0) + 1 FROM product_revisions WHERE product_id = p.id),
+               ?, ${PRODUCT_SNAPSHOT_SQL}, ?, ?, ?
+        FROM products p WHERE p.id = ${idSql} ${condition}
+    `, [action, note, admin ? admin.id : null, admin ? admin.username : null, ...idParams]];
+}
+
+// Produtos cadastrados antes do histórico ganham uma revisão "baseline" antes da primeira edição
+function baselineRevisionStatement(productId) {
+    return productRevisionStatement(productId, 'baseline', null, 'Estado anterior ao histórico',
+        'AND NOT EXISTS (SELECT 1 FROM product_revisions WHERE product_id = p.id)');
+}
+
+// O id da mídia só serve para o rollback reaproveitar o item; não é uma mudança de conteúdo
+function withoutMediaIds(gallery) {
+    return gallery ? gallery.map(({ id, ...item }) => item) : gallery;
+}
+
+// Diferenças campo a campo entre duas fotos (before null = criação)
+function diffProductSnapshots(before, after) {
+    return [...REVISION_PRODUCT_FIELDS, 'plans', 'gallery']
+        .map(field => ({
+            field,
+            before: before ? (field === 'gallery' ? withoutMediaIds(before[field]) : before[field]) : null,
+            after: field === 'gallery' ? withoutMediaIds(after[field]) : after[field]
+        }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+function formatRevision(row, previous) {
+    const snapshot = JSON.parse(row.snapshot);
+    
+    return {
+        id: row.id,
+        revision: row.revision,
+        action: row.action,
+        note: row.note,
+        admin_username: row.admin_username,
+        created_at: row.created_at,
+        changes: diffProductSnapshots(previous ? JSON.parse(previous.snapshot) : null, snapshot)
+    };
+}
+
+// Revisões do produto, mais recentes primeiro, cada uma com o diff para a anterior.
+// "version" é a versão atual do produto, que o rollback precisa receber de volta.
+app.get('/api/admin/products/:id/revisions', requireAdmin, (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    
+    db.get('SELECT version FROM products WHERE id = ?', [productId], (err, product) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao buscar revisões');
+        }
+        
+        db.all('SELECT * FROM product_revisions WHERE product_id = ? ORDER BY revision', [productId], (err, rows) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao buscar revisões');
+            }
+            
+            const revisions = rows.map((row, index) => formatRevision(row, rows[index - 1])).reverse();
+            if (product) {
+                res.set('ETag', productETag(productId, product.version));
+            }
+            res.json({ success: true, product_id: productId, version: product ? product.version : null, revisions, timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+app.get('/api/admin/products/:id/revisions/:revision', requireAdmin, (req, res) => {
+    const query = 'SELECT * FROM product_revisions WHERE product_id = ? AND revision = ?';
+    
+    db.get(query, [req.params.id, req.params.revision], (err, row) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao buscar revisão');
+        }
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Revisão não encontrada' });
+        }
+        
+        res.json({ success: true, revision: { ...formatRevision(row, null), snapshot: JSON.parse(row.snapshot) }, timestamp: new Date().toISOString() });
+    });
+});
+
+// Volta o produto (campos, códigos e galeria) para a revisão escolhida; o rollback vira uma nova revisão.
+// Sobrescreve o produto inteiro, então exige a versão atual (If-Match ou "version") como o PUT.
+app.post('/api/admin/products/:id/revisions/:revision/rollback', requirePermission('products:write'), (req, res) => {
+    const productId = req.params.id;
+    const expectedVersion = requestedProductVersion(req);
+    const query = `
+        SELECT r.*, p.version as product_version FROM product_revisions r
+        JOIN products p ON p.id = r.product_id
+        WHERE r.product_id = ? AND r.revision = ? AND p.deleted_at IS NULL
+    `;
+    
+    if (expectedVersion === undefined) {
+        return res.status(400).json({ success: false, error: 'Versão inválida (If-Match ou "version")' });
+    }
+    if (expectedVersion === null) {
+        return res.status(428).json({ success: false, error: 'Informe a versão atual do produto (If-Match ou "version")' });
+    }
+    
+    db.get(query, [productId, req.params.revision], (err, row) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao restaurar revisão');
+        }
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Revisão não encontrada' });
+        }
+        if (expectedVersion !== row.product_version) {
+            return sendVersionConflict(res, productId);
+        }
+        
+        const snapshot = JSON.parse(row.snapshot);
+        // Datas do SQLite (UTC) → ISO, como o painel envia
+        const toIso = value => (value ? parseSqliteDateTime(value).toISOString() : null);
+        const gallery = snapshot.gallery.map(item => ({ ...item, release_at: toIso(item.release_at) }));
+        const payload = {
+            ...snapshot,
+            publish_at: toIso(snapshot.publish_at),
+            unpublish_at: toIso(snapshot.unpublish_at),
+            gallery,
+            shared_plans: req.body.shared_plans
+        };
+        
+        // A revisão volta pelas mesmas regras de uma edição (categoria removida, código agora usado por outro produto...)
+        validateProductPayload(payload, { productId }, (err, validation) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao restaurar revisão');
+            }
+            if (!isValidProduct(validation)) {
+                return sendProductValidationErrors(res, validation);
+            }
+            
+            const updateQuery = `
+                UPDATE products
+                SET ${REVISION_PRODUCT_FIELDS.map(field => `${field} = ?`).join(', ')}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND deleted_at IS NULL AND version = ?
+            `;
+            const statements = [
+                [updateQuery, [...REVISION_PRODUCT_FIELDS.map(field => snapshot[field]), productId, expectedVersion],
+                    result => (result.changes === 0 ? versionConflictError() : null)],
+                ...productPlanStatements(productId, snapshot.plans),
+                ...productGalleryStatements(productId, gallery, { restoreIds: true }),
+                ...sharedPlanStatements(validation.sharedPlans, req.admin),
+                productRevisionStatement(productId, 'rollback', req.admin, `Restaurado da revisão #${row.revision}`)
+            ];
+            
+            runTransaction(statements, (err) => {
+                if (err && err.statusCode === 409) {
+                    return sendVersionConflict(res, productId);
+                }
+                if (err) {
+                    return sendCourseError(res, err, 'Erro ao restaurar revisão');
+                }
+                
+                console.log(`⏪ Produto ${productId} restaurado para a revisão #${row.revision} por ${req.admin.username} (versão ${expectedVersion + 1})`);
+                res.set('ETag', productETag(productId, expectedVersion + 1));
+                res.json({
+                    success: true,
+                    version: expectedVersion + 1,
+                    message: `Produto restaurado para a revisão #${row.revision}`,
+                    timestamp: new Date().toISOString()
+                });
+            });
+        });
+    });
+});
+
+// Acessos do próprio membro (substitui o uso de /debug/access/:email pelo site)
+app.get('/api/user/access', requireMemberSession, (req, res) => {
+    const query = `
+        SELECT ua.plan_code, ua.plan_name, ua.status, ua.expires_at, ua.created_at, ${ACCESS_PRODUCT_NAMES_SELECT}
+        FROM user_access ua
+        WHERE LOWER(ua.email) = ?
+        ORDER BY ua.created_at DESC
+    `;
+    
+    db.all(query, [req.member.email], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: 'Erro ao buscar acessos' });
+        }
+        res.json({ 
+            success: true,
+            email: req.member.email,
+            access_records: rows,
+            total: rows.length,
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+// ENDPOINT PRINCIPAL - Buscar produtos que o usuário tem acesso (CORRIGIDO)
+// A identidade vem da sessão assinada (requireMemberSession), nunca do email enviado pelo cliente
+app.post('/api/user/products', requireMemberSession, (req, res) => {
+    const email = req.member.email;
+    
+    console.log(`\n🔍 ===== BUSCANDO PRODUTOS DO USUÁRIO =====`);
+    console.log(`📧 Email: ${email}`);
+    console.log(`⏰ Hora: ${new Date().toLocaleTimeString()}`);
+    
+    // Buscar TODOS os acessos ativos do usuário
+    const accessQuery = `
+        SELECT DISTINCT plan_code, plan_name, expires_at, created_at 
+        FROM user_access 
+        WHERE LOWER(email) = ? AND status = 'active'
+        AND (expires_at IS NULL OR expires_at > datetime('now'))
+        ORDER BY created_at DESC
+    `;
+
+    db.all(accessQuery, [email], (err, userAccess) => {
+        if (err) {
+            console.error('❌ Erro ao buscar acessos:', err);
+            return res.status(500).json({ 
+                success: false, 
+                error: 'Erro ao buscar acessos'
+            });
+        }
+    
+        console.log(`📊 Acessos encontrados: ${userAccess.length}`);
+        if (userAccess.length > 0) {
+            console.log('📋 Planos liberados:', userAccess.map(a => a.plan_code).join(', '));
+        }
+    
+        // Buscar TODOS os produtos para exibir
+        const allProductsQuery = `
+            SELECT p.*, 
+                   ${PRODUCT_GALLERY_SELECT},
+                   ${PRODUCT_PLANS_SELECT},
+                   ${PRODUCT_LIVE_CONDITION} as is_live
+            FROM products p 
+            LEFT JOIN product_media pm ON p.id = pm.product_id 
+            WHERE ${PRODUCT_RELEASED_CONDITION}
+            GROUP BY p.id 
+            ORDER BY p.position, p.id
+        `;
+    
+        db.all(allProductsQuery, [], (err, allProducts) => {
+            if (err) {
+                console.error('❌ Erro ao buscar produtos:', err);
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Erro ao buscar produtos'
+                });
+            }
+        
+            // Array para armazenar produtos que vão para "MEUS PRODUTOS"
+            const userProducts = [];
+        
+            // Processar cada produto
+            const processedProducts = allProducts.map(row => {
+                let product = { ...row };
+            
+                applyProductGallery(product);
+                applyProductPlans(product);
+            
+                // LÓGICA PRINCIPAL: Verificar se usuário tem acesso
+                let hasUserAccess = false;
+                let accessPlan = null;
+            
+                // Verificar se algum dos planos do produto corresponde aos acessos do usuário
+                if (userAccess.length > 0) {
+                    const userPlanCodes = userAccess.map(a => a.plan_code);
+                
+                    // Primeiro plano do produto (na ordem configurada) que o usuário possui
+                    accessPlan = product.plans.find(code => userPlanCodes.includes(code)) || null;
+                    hasUserAccess = accessPlan !== null;
+                }
+            
+                // Adicionar flags de acesso
+                product.userHasAccess = hasUserAccess;
+                product.accessPlan = accessPlan;
+                // Vencimento da assinatura que libera o produto (null = vitalício)
+                const matchedAccess = hasUserAccess ? userAccess.find(a => a.plan_code === accessPlan) : null;
+                product.accessExpiresAt = matchedAccess ? matchedAccess.expires_at : null;
+                // Drip: itens agendados contam a partir da compra que libera o produto
+                product.gallery = applyDripSchedule(product.gallery, matchedAccess ? matchedAccess.created_at : null);
+                // Mesma regra de checkMediaAccess: comprador ou produto gratuito no ar abre o conteúdo
+                // (links assinados, aulas, downloads e progresso); os demais só veem a prévia
+                product.hasContentAccess = hasUserAccess || (product.plans.length === 0 && product.is_live === 1);
+                product = product.hasContentAccess
+                    ? protectProductMedia(product, email)
+                    : toTeaserProduct(product);
+            
+                // Se usuário tem acesso, adicionar à lista de userProducts
+                if (hasUserAccess) {
+                    userProducts.push({
+                        ...product,
+                        originalCategory: product.category,
+                        category: 'meus_produtos' // Forçar para meus_produtos
+                    });
+                
+                    console.log(`✅ Produto liberado: ${product.name} (Plano: ${accessPlan})`);
+                }
+            
+                return product;
+            })
+            // Fora do ar (arquivado ou fora da janela) só continua para quem já comprou
+            .filter(product => product.is_live || product.userHasAccess);
+        
+            console.log(`\n📊 RESUMO:`);
+            console.log(`- Total de produtos: ${processedProducts.length}`);
+            console.log(`- Produtos liberados para o usuário: ${userProducts.length}`);
+            console.log(`- Email: ${email}`);
+            console.log('==========================================\n');
+        
+            // Progresso (barra + "continuar assistindo") só dos produtos cujo conteúdo o membro abre
+            loadMemberProgress(email, (err, progress) => {
+                if (err) {
+                    console.error('❌ Erro ao buscar progresso:', err);
+                }
+                
+                [...processedProducts, ...userProducts].forEach(product => {
+                    product.progress = product.hasContentAccess && progress ? summarizeProductProgress(product, progress) : null;
+                });
+                
+                // Retornar TODOS os produtos + lista de produtos do usuário
+                res.json({ 
+                    success: true, 
+                    products: processedProducts,
+                    userProducts: userProducts, // Produtos que vão para "MEUS PRODUTOS"
+                    totalProducts: processedProducts.length,
+                    userAccessCount: userProducts.length,
+                    userEmail: email,
+                    activePlans: userAccess.map(a => a.plan_code),
+                    timestamp: new Date().toISOString()
+                });
+            });
+        });
+    });
+});
+
+// =============================================================================
+// PROGRESSO DO MEMBRO (posição dos vídeos e aulas concluídas)
+// =============================================================================
+
+// Fração assistida a partir da qual o vídeo conta como concluído
+const PROGRESS_COMPLETE_RATIO = 0.9;
+
+// Confirma que o item reportado pertence ao produto
+const PROGRESS_ITEM_QUERIES = {
+    main: 'SELECT id FROM products WHERE id = ? AND ? = 0',
+    media: 'SELECT id FROM product_media WHERE product_id = ? AND id = ?',
+    lesson: 'SELECT l.id FROM product_lessons l JOIN product_modules m ON m.id = l.module_id WHERE m.product_id = ? AND l.id = ?'
+};
+
+// Linhas de progresso do membro e aulas de cada produto (para o total do percentual)
+function loadMemberProgress(email, callback) {
+    db.all('SELECT * FROM member_progress WHERE email = ? ORDER BY updated_at DESC, id DESC', [email], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        db.all('SELECT m.product_id, l.id FROM product_lessons l JOIN product_modules m ON m.id = l.module_id', [], (err, lessons) => {
+            if (err) {
+                return callback(err);
+            }
+            
+            const lessonsByProduct = {};
+            lessons.forEach(lesson => {
+                (lessonsByProduct[lesson.product_id] = lessonsByProduct[lesson.product_id] || []).push(lesson.id);
+            });
+            
+            callback(null, { rows, lessonsByProduct });
+        });
+    });
+}
+
+// Percentual do produto = itens concluídos / (vídeo principal + vídeos liberados da galeria + aulas);
+// "last" é o item mais recente ainda não concluído (continuar assistindo)
+function summarizeProductProgress(product, progress) {
+    const rows = progress.rows.filter(row => row.product_id === product.id);
+    const items = {};
+    rows.forEach(row => {
+        items[`${row.item_type}:${row.item_id}`] = {
+            position: row.position_seconds,
+            duration: row.duration_seconds,
+            completed: !!row.completed
+        };
+    });
+    
+    const trackable = [
+        ...(product.main_video ? ['main:0'] : []),
+        ...(product.gallery || []).filter(item => item.type === 'video' && !item.locked).map(item => `media:${item.id}`),
+        ...(progress.lessonsByProduct[product.id] || []).map(id => `lesson:${id}`)
+    ];
+    const completed = trackable.filter(key => items[key] && items[key].completed).length;
+    const last = rows.find(row => !row.completed);
+    
+    return {
+        percent: trackable.length > 0 ? Math.round((completed / trackable.length) * 100) : 0,
+        completed,
+        total: trackable.length,
+        last: last ? { item_type: last.item_type, item_id: last.item_id, position: last.position_seconds } : null,
+        items
+    };
+}
+
+// Player do membro reporta a posição; concluído quando marcado ou ao passar de PROGRESS_COMPLETE_RATIO
+app.post('/api/user/progress', requireMemberSession, (req, res) => {
+    const email = req.member.email;
+    const { product_id, item_type } = req.body;
+    const itemId = item_type === 'main' ? 0 : parseInt(req.body.item_id, 10);
+    const position = Math.max(0, parseFloat(req.body.position) || 0);
+    const duration = parseFloat(req.body.duration) || null;
+    const completed = req.body.completed === true || (duration ? position / duration >= PROGRESS_COMPLETE_RATIO : false);
+    
+    if (!product_id || !PROGRESS_ITEM_QUERIES[item_type] || isNaN(itemId)) {
+        return res.status(400).json({ success: false, error: 'Informe product_id, item_type (main, media ou lesson) e item_id' });
+    }
+    
+    checkMediaAccess(email, product_id, (err, access) => {
+        if (err) {
+            console.error('❌ Erro ao verificar acesso:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        if (!access) {
+            return res.status(403).json({ success: false, error: 'Você não tem acesso a este produto' });
+        }
+        
+        db.get(PROGRESS_ITEM_QUERIES[item_type], [product_id, itemId], (err, item) => {
+            if (err) {
+                console.error('❌ Erro ao validar item do progresso:', err);
+                return res.status(500).json({ success: false, error: 'Erro interno' });
+            }
+            
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Item não encontrado neste produto' });
+            }
+            
+            // Concluído não volta a ficar pendente ao reassistir
+            const upsertQuery = `
+                INSERT INTO member_progress (email, product_id, item_type, item_id, position_seconds, duration_seconds, completed, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (email, product_id, item_type, item_id) DO UPDATE SET
+                    position_seconds = excluded.position_seconds,
+                    duration_seconds = COALESCE(excluded.duration_seconds, duration_seconds),
+                    completed = MAX(completed, excluded.completed),
+                    updated_at = CURRENT_TIMESTAMP
+            `;
+            
+            db.run(upsertQuery, [email, product_id, item_type, itemId, position, duration, completed ? 1 : 0], (err) => {
+                if (err) {
+                    console.error('❌ Erro ao salvar progresso:', err);
+                    return res.status(500).json({ success: false, error: 'Erro ao salvar progresso' });
+                }
+                
+                res.json({
+                    success: true,
+                    item_type,
+                    item_id: itemId,
+                    position,
+                    completed,
+                    timestamp: new Date().toISOString()
+                });
+            });
+        });
+    });
+});
+
+// =============================================================================
+// WEBHOOK SECURITY - token, HMAC e allowlist de IP por provedor
+// =============================================================================
+
+// Lê <PREFIX>_TOKEN, <PREFIX>_HMAC_SECRET, <PREFIX>_HMAC_HEADER e <PREFIX>_IP_ALLOWLIST do ambiente.
+// verifySignature substitui a checagem HMAC padrão (hex do corpo no header) para provedores com formato próprio.
+function webhookSecurityConfig(prefix, readToken, verifySignature) {
+    return {
+        token: process.env[`${prefix}_TOKEN`] || null,
+        readToken,
+        verifySignature: verifySignature || null,
+        hmacSecret: process.env[`${prefix}_HMAC_SECRET`] || null,
+        hmacHeader: (process.env[`${prefix}_HMAC_HEADER`] || 'x-signature').toLowerCase(),
+        ipAllowlist: (process.env[`${prefix}_IP_ALLOWLIST`] || '')
+            .split(',')
+            .map(ip => ip.trim())
+            .filter(Boolean)
+    };
+}
+
+const WEBHOOK_SECURITY = {
+    // PerfectPay envia o token da conta no campo "token" do payload
+    perfectpay: webhookSecurityConfig('PERFECTPAY', (req) => req.body && req.body.token),
+    // Kirvano envia o token de segurança configurado no painel em um header
+    kirvano: webhookSecurityConfig('KIRVANO', (req) => req.get(process.env.KIRVANO_TOKEN_HEADER || 'security-token')),
+    // Hotmart envia o hottok no header X-HOTMART-HOTTOK (versões antigas no campo "hottok")
+    hotmart: webhookSecurityConfig('HOTMART', (req) => req.get('x-hotmart-hottok') || (req.body && req.body.hottok)),
+    // Eduzz assina o corpo com HMAC-SHA256 (EDUZZ_HMAC_SECRET); o token é a api_key da conta
+    eduzz: webhookSecurityConfig('EDUZZ', (req) => req.get('x-api-key') || (req.body && req.body.api_key)),
+    // Stripe: STRIPE_HMAC_SECRET = whsec_... do endpoint
+    stripe: webhookSecurityConfig('STRIPE', () => null, verifyStripeSignature)
+};
+
+Object.entries(WEBHOOK_SECURITY).forEach(([provider, config]) => {
+    if (!config.token && !config.hmacSecret) {
+        console.warn(`⚠️ Webhook ${provider}: nenhum token/HMAC configurado - entregas serão ${WEBHOOK_ALLOW_UNVERIFIED ? 'aceitas SEM verificação' : 'rejeitadas'}`);
+    }
+});
+
+// Stripe-Signature: "t=<timestamp>,v1=<hmac>" com HMAC de "<timestamp>.<corpo>"; tolerância de 5 minutos
+function verifyStripeSignature(req, secret) {
+    const parts = String(req.get('stripe-signature') || '').split(',').map(part => part.trim().split('='));
+    const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    
+    if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) {
+        return false;
+    }
+    
+    const expected = crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${(req.rawBody || '').toString('utf8')}`)
+        .digest('hex');
+    return signatures.some(signature => safeEqual(signature, expected));
+}
+
+function normalizeIp(ip) {
+    return String(ip || '').replace(/^::ffff:/, '');
+}
+
+// Retorna null se a entrega for autêntica, ou o motivo da rejeição
+function checkWebhookAuthenticity(provider, req) {
+    const config = WEBHOOK_SECURITY[provider];
+
+    if (!config) {
+        return 'unknown_provider';
+    }
+
+    if (config.ipAllowlist.length > 0 && !config.ipAllowlist.includes(normalizeIp(req.ip))) {
+        return 'ip_not_allowed';
+    }
+
+    if (config.token) {
+        const received = config.readToken(req);
+        if (!received || !safeEqual(received, config.token)) {
+            return 'invalid_token';
+        }
+    }
+
+    if (config.hmacSecret && config.verifySignature) {
+        if (!config.verifySignature(req, config.hmacSecret)) {
+            return 'invalid_signature';
+        }
+    } else if (config.hmacSecret) {
+        const received = String(req.get(config.hmacHeader) || '').replace(/^sha256=/i, '');
+        const expected = crypto.createHmac('sha256', config.hmacSecret).update(req.rawBody || '').digest('hex');
+        if (!received || !safeEqual(received.toLowerCase(), expected)) {
+            return 'invalid_signature';
+        }
+    }
+
+    if (!config.token && !config.hmacSecret && !WEBHOOK_ALLOW_UNVERIFIED) {
+        return 'verification_not_configured';
+    }
+
+    return null;
+}
+
+// Middleware: rejeita com 401 entregas que não passam na verificação do provedor
+function verifyWebhook(provider) {
+    return (req, res, next) => {
+        const reason = checkWebhookAuthenticity(provider, req);
+
+        if (reason) {
+            console.warn(`\n🚨 WEBHOOK ${provider.toUpperCase()} REJEITADO`);
+            console.warn(`- Motivo: ${reason}`);
+            console.warn(`- IP: ${normalizeIp(req.ip)}`);
+            console.warn(`- User-Agent: ${req.get('User-Agent') || '-'}`);
+            console.warn(`- Body: ${(req.rawBody || '').toString('utf8').slice(0, 500)}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Webhook não autorizado',
+                reason,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        next();
+    };
+}
+
+// =============================================================================
+// VIGÊNCIA DE PLANOS (ASSINATURAS MENSAIS / ANUAIS)
+// =============================================================================
+
+// Duração em dias do plano; null quando o plano é vitalício ou não está configurado
+function getPlanDuration(planCode, callback) {
+    db.get('SELECT duration_days FROM plan_durations WHERE plan_code = ?', [planCode], (err, row) => {
+        callback(err, row && row.duration_days ? row.duration_days : null);
+    });
+}
+
+// Mapa plan_code → dias, para operações em lote
+function getAllPlanDurations(callback) {
+    db.all('SELECT plan_code, duration_days FROM plan_durations', [], (err, rows) => {
+        callback(err, Object.fromEntries((rows || []).map(row => [row.plan_code, row.duration_days])));
+    });
+}
+
+// Modificador do datetime() do SQLite para a duração do plano (datetime(x, NULL) = NULL → sem vencimento)
+function durationModifier(days) {
+    return days ? `+${days} days` : null;
+}
+
+// Renovação: venda já registrada no acesso (reenvio) não estende; nova cobrança estende a partir do vencimento
+// atual (ou de agora, se já venceu). payment_id do acesso não muda: a cobrança nova vai para access_payments.
+function renewAccess(existing, paymentId, callback) {
+    const notRenewed = { renewed: false, expires_at: existing.expires_at };
+    
+    db.get('SELECT id FROM access_payments WHERE access_id = ? AND payment_id = ?', [existing.id, String(paymentId)], (err, recorded) => {
+        if (err || (paymentId && (recorded || existing.payment_id === String(paymentId)))) {
+            return callback(err, notRenewed);
+        }
+        
+        getPlanDuration(existing.plan_code, (err, days) => {
+            if (err || !days) {
+                return callback(err, notRenewed);
+            }
+            
+            const query = `
+                UPDATE user_access 
+                SET expires_at = datetime(CASE WHEN expires_at > datetime('now') THEN expires_at ELSE datetime('now') END, ?),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+            
+            db.run(query, [durationModifier(days), existing.id], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                
+                db.get('SELECT expires_at FROM user_access WHERE id = ?', [existing.id], (err, row) => {
+                    callback(err, { renewed: true, expires_at: row ? row.expires_at : null });
+                });
+            });
+        });
+    });
+}
+
+// Registra os ids da cobrança (venda, fatura, charge...) que liberou ou renovou o acesso
+function recordAccessPayments(accessId, event, callback) {
+    const ids = [...new Set([event.external_id, ...event.payment_ids].filter(Boolean))];
+    
+    if (ids.length === 0) {
+        return callback(null);
+    }
+    
+    db.run(
+        `INSERT OR IGNORE INTO access_payments (access_id, payment_id, provider) VALUES ${ids.map(() => '(?, ?, ?)').join(', ')}`,
+        ids.flatMap(id => [accessId, id, event.provider]),
+        callback
+    );
+}
+
+// Marca como 'expired' os acessos ativos cujo expires_at já passou
+function sweepExpiredAccess() {
+    const query = `
+        UPDATE user_access SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= datetime('now')
+    `;
+    
+    db.run(query, function(err) {
+        if (err) {
+            return console.error('❌ Erro na varredura de acessos vencidos:', err);
+        }
+        if (this.changes > 0) {
+            console.log(`⌛ ${this.changes} acesso(s) vencido(s) marcado(s) como expirado(s)`);
+        }
+    });
+}
+
+// =============================================================================
+// REVOGAÇÃO POR REEMBOLSO / CHARGEBACK / CANCELAMENTO
+// =============================================================================
+
+// Revoga os acessos ativos ligados ao pagamento: venda original/assinatura (payment_id) ou qualquer
+// cobrança registrada em access_payments (renovação, fatura da assinatura)
+function revokeAccessByPayment(paymentIds, reason, callback) {
+    const ids = paymentIds.filter(Boolean).map(String);
+    
+    if (ids.length === 0) {
+        return callback(null, 0);
+    }
+    
+    const query = `
+        UPDATE user_access 
+        SET status = 'revoked', revoked_reason = ?, revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'active' AND (
+            payment_id IN (${ids.map(() => '?').join(', ')})
+            OR id IN (SELECT access_id FROM access_payments WHERE payment_id IN (${ids.map(() => '?').join(', ')}))
+        )
+    `;
+    
+    db.run(query, [reason, ...ids, ...ids], function(err) {
+        callback(err, err ? 0 : this.changes);
+    });
+}
+
+// =============================================================================
+// PROVEDORES DE PAGAMENTO - ADAPTERS + MOTOR ÚNICO DE LIBERAÇÃO
+// =============================================================================
+//
+// Cada adapter transforma o payload do checkout em um evento de venda normalizado:
+//   { status, raw_status, email, customer_name, offers: [{ code, name, amount }], amount, currency, external_id, payment_ids,
+//     subscription_id }
+// subscription_id (opcional) é a chave do acesso nas assinaturas: fica em payment_id e a cobrança de renovação
+// (external_id próprio) encontra o acesso por ele. external_id e payment_ids de cada venda aprovada ficam em
+// access_payments, para o reembolso/chargeback (que só traz os ids da cobrança) achar o acesso. status 'approved' libera/renova, 'refunded' | 'chargeback' | 'cancelled' revogam e 'ignored' não faz nada.
+// Novo checkout = novo adapter em PAYMENT_PROVIDERS + segredos em WEBHOOK_SECURITY.
+
+const REVOKE_STATUSES = ['refunded', 'chargeback', 'cancelled'];
+
+const PERFECTPAY_STATUSES = {
+    approved: 'approved',
+    refunded: 'refunded',
+    chargeback: 'chargeback',
+    charged_back: 'chargeback',
+    cancelled: 'cancelled',
+    canceled: 'cancelled'
+};
+
+const KIRVANO_EVENTS = {
+    SALE_APPROVED: 'approved',
+    SUBSCRIPTION_RENEWED: 'approved',
+    SALE_REFUNDED: 'refunded',
+    SALE_CHARGEBACK: 'chargeback',
+    SUBSCRIPTION_CANCELED: 'cancelled'
+};
+
+const HOTMART_EVENTS = {
+    PURCHASE_APPROVED: 'approved',
+    PURCHASE_COMPLETE: 'approved',
+    PURCHASE_REFUNDED: 'refunded',
+    PURCHASE_CHARGEBACK: 'chargeback',
+    PURCHASE_CANCELED: 'cancelled',
+    SUBSCRIPTION_CANCELLATION: 'cancelled'
+};
+
+const EDUZZ_EVENTS = {
+    'myeduzz.invoice_paid': 'approved',
+    'myeduzz.invoice_refunded': 'refunded',
+    'myeduzz.invoice_chargeback': 'chargeback',
+    'myeduzz.invoice_canceled': 'cancelled'
+};
+
+const STRIPE_EVENTS = {
+    'checkout.session.completed': 'approved',
+    'checkout.session.async_payment_succeeded': 'approved',
+    // Cobrança recorrente da assinatura (só billing_reason 'subscription_cycle', ver adapter)
+    'invoice.paid': 'approved',
+    'invoice.payment_succeeded': 'approved',
+    'charge.refunded': 'refunded',
+    'charge.dispute.created': 'chargeback',
+    'customer.subscription.deleted': 'cancelled'
+};
+
+// "R$ 1.234,56", "1234.56" ou 1234.56 → 1234.56
+function parseAmount(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    
+    let text = String(value || '').replace(/[^\d.,-]/g, '');
+    if (text.includes(',')) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    }
+    
+    const amount = parseFloat(text);
+    return Number.isFinite(amount) ? amount : 0;
+}
+
+const PAYMENT_PROVIDERS = {
+    perfectpay: {
+        name: 'PerfectPay',
+        parse(payload) {
+            return {
+                status: PERFECTPAY_STATUSES[payload.sale_status_enum_key] || 'ignored',
+                raw_status: payload.sale_status_enum_key,
+                email: payload.customer?.email,
+                customer_name: payload.customer?.full_name,
+                offers: payload.plan?.code ? [{ code: payload.plan.code, name: payload.plan.name }] : [],
+                amount: parseAmount(payload.sale_amount),
+                currency: 'BRL',
+                external_id: payload.code,
+                payment_ids: [payload.code]
+            };
+        }
+    },
+    
+    kirvano: {
+        name: 'Kirvano',
+        parse(payload) {
+            let status = KIRVANO_EVENTS[payload.event] || 'ignored';
+            // SALE_APPROVED só vale com status APPROVED
+            if (payload.event === 'SALE_APPROVED' && payload.status !== 'APPROVED') {
+                status = 'ignored';
+            }
+            
+            return {
+                status,
+                raw_status: `${payload.event} / ${payload.status}`,
+                email: payload.customer?.email,
+                customer_name: payload.customer?.name,
+                offers: (Array.isArray(payload.products) ? payload.products : [])
+                    .filter(product => product && product.offer_id)
+                    .map(product => ({ code: product.offer_id, name: product.offer_name || product.name })),
+                amount: parseAmount(payload.total_price),
+                currency: 'BRL',
+                external_id: payload.sale_id || payload.checkout_id,
+                payment_ids: [payload.sale_id, payload.checkout_id]
+            };
+        }
+    },
+    
+    // Webhook 2.0: { event, data: { buyer, product, purchase: { transaction, offer, price } } }
+    hotmart: {
+        name: 'Hotmart',
+        parse(payload) {
+            const data = payload.data || {};
+            const purchase = data.purchase || {};
+            const code = purchase.offer?.code || (data.product?.id != null ? String(data.product.id) : null);
+            
+            return {
+                status: HOTMART_EVENTS[payload.event] || 'ignored',
+                raw_status: payload.event,
+                email: data.buyer?.email,
+                customer_name: data.buyer?.name,
+                offers: code ? [{ code, name: data.product?.name }] : [],
+                amount: parseAmount(purchase.price?.value),
+                currency: purchase.price?.currency_value || 'BRL',
+                external_id: purchase.transaction,
+                payment_ids: [purchase.transaction]
+            };
+        }
+    },
+    
+    // Webhooks MyEduzz: { event, data: { id, buyer, items: [{ productId, offerId, name, price }], paid } }
+    eduzz: {
+        name: 'Eduzz',
+        parse(payload) {
+            const data = payload.data || {};
+            const items = Array.isArray(data.items) ? data.items : [];
+            
+            return {
+                status: EDUZZ_EVENTS[payload.event] || 'ignored',
+                raw_status: payload.event,
+                email: data.buyer?.email,
+                customer_name: data.buyer?.name,
+                offers: items
+                    .filter(item => item && (item.offerId || item.productId))
+                    .map(item => ({
+                        code: String(item.offerId || item.productId),
+                        name: item.name,
+                        amount: item.price?.value != null ? parseAmount(item.price.value) : undefined
+                    })),
+                amount: parseAmount(data.paid?.value ?? data.price?.value),
+                currency: data.paid?.currency || 'BRL',
+                external_id: data.id,
+                payment_ids: [data.id]
+            };
+        }
+    },
+    
+    // Stripe Checkout: o código do plano vai em metadata.plan_code (ou plan_codes separados por vírgula)
+    // ou em client_reference_id. Valores chegam em centavos. Renovações chegam como fatura (invoice.*),
+    // com o id da assinatura: sem metadata, o motor acha o plano pelo acesso dessa assinatura.
+    // Reembolso e disputa trazem a charge com payment_intent e fatura; a sessão e a fatura trazem os mesmos ids.
+    stripe: {
+        name: 'Stripe',
+        parse(payload) {
+            const object = payload.data?.object || {};
+            const isInvoice = String(payload.type || '').startsWith('invoice.');
+            const metadata = isInvoice
+                ? { ...object.lines?.data?.[0]?.metadata, ...object.subscription_details?.metadata, ...object.metadata }
+                : object.metadata || {};
+            let status = STRIPE_EVENTS[payload.type] || 'ignored';
+            
+            if (isInvoice) {
+                // A primeira fatura já chega pelo checkout.session.completed: só a recorrente renova
+                if (object.billing_reason !== 'subscription_cycle' || !object.subscription) {
+                    status = 'ignored';
+                }
+            } else if (status === 'approved' && object.payment_status !== 'paid') {
+                // Boleto/pix ainda não compensado: libera só no async_payment_succeeded
+                status = 'ignored';
+            }
+            
+            const codes = String(metadata.plan_codes || metadata.plan_code || object.client_reference_id || '')
+                .split(',')
+                .map(code => code.trim())
+                .filter(Boolean);
+            
+            return {
+                status,
+                raw_status: payload.type,
+                email: object.customer_details?.email || object.customer_email || object.receipt_email || object.billing_details?.email,
+                customer_name: object.customer_details?.name,
+                offers: codes.map(code => ({ code })),
+                amount: (object.amount_total ?? object.amount_paid ?? object.amount ?? 0) / 100,
+                currency: String(object.currency || 'brl').toUpperCase(),
+                // payment_intent liga checkout, reembolso e disputa; cada fatura tem o próprio id (uma renovação cada)
+                external_id: isInvoice ? object.id : object.payment_intent || object.subscription || object.id,
+                payment_ids: [object.payment_intent, object.charge, object.invoice, object.subscription, object.id],
+                subscription_id: object.subscription
+            };
+        }
+    }
+};
+
+// Completa e limpa o evento devolvido pelo adapter
+function normalizeSaleEvent(provider, event) {
+    return {
+        provider,
+        status: event.status || 'ignored',
+        raw_status: event.raw_status || null,
+        email: event.email ? normalizeEmail(event.email) : null,
+        customer_name: event.customer_name || null,
+        offers: (event.offers || []).map(offer => ({ ...offer, code: String(offer.code).trim() })).filter(offer => offer.code),
+        amount: event.amount || 0,
+        currency: event.currency || 'BRL',
+        external_id: event.external_id != null ? String(event.external_id) : null,
+        payment_ids: (event.payment_ids || []).filter(Boolean).map(String),
+        subscription_id: event.subscription_id != null ? String(event.subscription_id) : null
+    };
+}
+
+// Libera (ou renova) um código de oferta para o comprador do evento
+// (um código pode liberar vários produtos - combos - e o acesso fica registrado por código)
+function grantOfferAccess(event, offer, callback) {
+    findProductsByPlanCode(offer.code, (err, products) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        const productRow = products[0] || null;
+        
+        if (products.length > 0) {
+            console.log(`✅ Produto(s) encontrado(s) no sistema: ${products.map(p => p.name).join(', ')} (${offer.code})`);
+        } else {
+            console.log(`⚠️ Nenhum produto do sistema configurado com o código: ${offer.code}`);
+            console.log(`💡 Adicione o código ${offer.code} aos planos de um produto no painel admin`);
+        }
+        
+        const checkAccessQuery = `
+            SELECT * FROM user_access 
+            WHERE LOWER(email) = ? AND plan_code = ? AND status = 'active'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `;
+        
+        db.get(checkAccessQuery, [event.email, offer.code], (err, existing) => {
+            if (err) {
+                return callback(err);
+            }
+            
+            const item = {
+                offer_id: offer.code,
+                product_name: offer.name || (productRow && productRow.name) || null,
+                product_found: products.length > 0,
+                product_ids: products.map(p => p.id)
+            };
+            
+            if (existing) {
+                // Acesso liberado antes de o produto existir: vincula ao produto agora configurado
+                if (productRow && existing.product_code !== String(productRow.id)) {
+                    db.run('UPDATE user_access SET product_code = ? WHERE id = ?', [String(productRow.id), existing.id]);
+                }
+                
+                return renewAccess(existing, event.external_id, (err, renewal) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    
+                    const done = (err) => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        
+                        console.log(renewal.renewed
+                            ? `🔁 Assinatura renovada: ${event.email} → ${offer.code} até ${renewal.expires_at}`
+                            : `⚠️ Acesso já existe para ${event.email} → ${offer.code}`);
+                        callback(null, {
+                            ...item,
+                            status: renewal.renewed ? 'renewed' : 'already_exists',
+                            access_id: existing.id,
+                            expires_at: renewal.expires_at
+                        });
+                    };
+                    
+                    // Só a cobrança que estendeu o acesso passa a revogá-lo (uma segunda compra de plano vitalício não)
+                    return renewal.renewed ? recordAccessPayments(existing.id, event, done) : done(null);
+                });
+            }
+            
+            getPlanDuration(offer.code, (err, durationDays) => {
+                if (err) {
+                    return callback(err);
+                }
+                
+                const insertAccessQuery = `
+                    INSERT INTO user_access 
+                    (email, product_code, plan_code, plan_name, sale_amount, payment_id, provider, currency, status, expires_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', datetime('now', ?), CURRENT_TIMESTAMP)
+                `;
+                
+                db.run(insertAccessQuery, [
+                    event.email,
+                    productRow ? productRow.id : offer.code,
+                    offer.code,
+                    item.product_name || offer.code,
+                    offer.amount != null ? offer.amount : event.amount,
+                    event.subscription_id || event.external_id,
+                    event.provider,
+                    event.currency,
+                    durationModifier(durationDays)
+                ], function(err) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    
+                    const accessId = this.lastID;
+                    recordAccessPayments(accessId, event, (err) => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        
+                        console.log(`🔓 Acesso liberado: ${event.email} → ${offer.code} (ID: ${accessId}, ${durationDays ? `${durationDays} dias` : 'vitalício'})`);
+                        callback(null, {
+                            ...item,
+                            status: 'granted',
+                            access_id: accessId,
+                            duration_days: durationDays
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Motor único: aplica um evento normalizado em user_access. Erros de validação vêm com statusCode 400.
+function processSaleEvent(event, callback) {
+    const invalid = (message) => callback(Object.assign(new Error(message), { statusCode: 400 }));
+    
+    if (REVOKE_STATUSES.includes(event.status)) {
+        if (event.payment_ids.length === 0) {
+            return invalid('ID do pagamento é obrigatório');
+        }
+        
+        return revokeAccessByPayment(event.payment_ids, event.status, (err, revoked) => {
+            if (err) {
+                return callback(err);
+            }
+            
+            console.log(revoked > 0
+                ? `🚫 ${revoked} acesso(s) revogado(s) - motivo: ${event.status}`
+                : '⚠️ Nenhum acesso ativo encontrado para este pagamento');
+            callback(null, {
+                action: 'revoked',
+                message: revoked > 0 ? 'Acesso revogado' : 'Nenhum acesso ativo para este pagamento',
+                reason: event.status,
+                accesses_revoked: revoked
+            });
+        });
+    }
+    
+    if (event.status !== 'approved') {
+        console.log(`❌ Status não aprovado: ${event.raw_status}`);
+        return callback(null, { action: 'ignored', message: 'Status não processado' });
+    }
+    
+    resolveSubscriptionRenewal(event, (err, resolved) => {
+        if (err) {
+            return callback(err);
+        }
+        grantSaleEvent(resolved, callback);
+    });
+}
+
+// Cobrança de renovação sem email/plano no payload (fatura da Stripe): completa pelo acesso da assinatura
+function resolveSubscriptionRenewal(event, callback) {
+    if (!event.subscription_id || (event.email && event.offers.length > 0)) {
+        return callback(null, event);
+    }
+    
+    const query = "SELECT email, plan_code FROM user_access WHERE payment_id = ? AND status <> 'revoked' ORDER BY created_at";
+    
+    db.all(query, [event.subscription_id], (err, rows) => {
+        if (err || rows.length === 0) {
+            return callback(err, event);
+        }
+        
+        console.log(`🔁 Renovação da assinatura ${event.subscription_id}: ${rows.length} acesso(s) encontrado(s)`);
+        callback(null, {
+            ...event,
+            email: event.email || normalizeEmail(rows[0].email),
+            offers: event.offers.length > 0 ? event.offers : [...new Set(rows.map(row => row.plan_code))].map(code => ({ code }))
+        });
+    });
+}
+
+// Venda aprovada: libera (ou renova) cada código de oferta do evento
+function grantSaleEvent(event, callback) {
+    const invalid = (message) => callback(Object.assign(new Error(message), { statusCode: 400 }));
+    
+    if (!event.email) {
+        return invalid('Email do cliente é obrigatório');
+    }
+    
+    if (event.offers.length === 0) {
+        return invalid('Código do plano/oferta é obrigatório');
+    }
+    
+    const items = [];
+    
+    const processOffer = (index) => {
+        if (index >= event.offers.length) {
+            return callback(null, {
+                action: 'granted',
+                message: 'Venda processada com sucesso',
+                email: event.email,
+                items,
+                accesses_granted: items.filter(item => item.status === 'granted').length
+            });
+        }
+        
+        const offer = event.offers[index];
+        grantOfferAccess(event, offer, (err, item) => {
+            if (err) {
+                console.error(`❌ Erro ao liberar acesso para ${offer.code}:`, err);
+                items.push({ offer_id: offer.code, status: 'error', error: err.message });
+            } else {
+                items.push(item);
+            }
+            processOffer(index + 1);
+        });
+    };
+    
+    processOffer(0);
+}
+
+// =============================================================================
+// INBOX DE WEBHOOKS - toda entrega autenticada é gravada antes de processar
+// =============================================================================
+//
+// processing_status: received → processed | ignored | unmatched (produto não configurado / pagamento não encontrado)
+//                    | failed (erro interno) | invalid (payload sem dados obrigatórios)
+// Reenvios do mesmo evento (provedor + id da venda + status) não são reprocessados depois de concluídos.
+
+const WEBHOOK_REPLAYABLE_STATUSES = ['received', 'failed', 'unmatched', 'invalid'];
+
+// Headers e campos com segredos não são guardados no inbox
+const WEBHOOK_REDACTED_HEADERS = ['authorization', 'cookie', 'security-token', 'x-hotmart-hottok', 'x-api-key', 'x-signature', 'stripe-signature'];
+const WEBHOOK_REDACTED_FIELDS = ['token', 'hottok', 'api_key'];
+
+function redactWebhookHeaders(headers) {
+    const redacted = [...WEBHOOK_REDACTED_HEADERS, String(process.env.KIRVANO_TOKEN_HEADER || '').toLowerCase()];
+    return Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, redacted.includes(key) ? '[removido]' : value]));
+}
+
+function redactWebhookPayload(payload) {
+    const copy = { ...payload };
+    WEBHOOK_REDACTED_FIELDS.forEach(field => {
+        if (field in copy) {
+            copy[field] = '[removido]';
+        }
+    });
+    return copy;
+}
+
+// Situação final do evento a partir do resultado do motor de liberação
+function webhookProcessingStatus(err, result) {
+    if (err) {
+        return err.statusCode === 400 ? 'invalid' : 'failed';
+    }
+    if (result.action === 'ignored') {
+        return 'ignored';
+    }
+    if (result.action === 'revoked') {
+        return result.accesses_revoked > 0 ? 'processed' : 'unmatched';
+    }
+    if (result.items.some(item => item.status === 'error')) {
+        return 'failed';
+    }
+    return result.items.some(item => !item.product_found) ? 'unmatched' : 'processed';
+}
+
+// Grava a entrega; se o mesmo evento já existe devolve a linha existente (duplicate = true)
+function recordWebhookEvent(provider, event, req, callback) {
+    const payload = JSON.stringify(redactWebhookPayload(req.body || {}));
+    const headers = JSON.stringify(redactWebhookHeaders(req.headers));
+    const dedupeKey = event && event.external_id ? `${provider}:${event.external_id}:${event.status}` : null;
+    
+    const insertQuery = `
+        INSERT INTO webhook_events 
+        (provider, dedupe_key, external_id, event_status, raw_status, email, payload, headers, ip)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    db.run(insertQuery, [
+        provider,
+        dedupeKey,
+        event ? event.external_id : null,
+        event ? event.status : null,
+        event ? event.raw_status : null,
+        event ? event.email : null,
+        payload,
+        headers,
+        normalizeIp(req.ip)
+    ], function(err) {
+        if (err && /UNIQUE constraint failed/.test(err.message)) {
+            return db.get('SELECT * FROM webhook_events WHERE dedupe_key = ?', [dedupeKey], (err, existing) => {
+                if (err || !existing) {
+                    return callback(err || new Error('Evento duplicado não encontrado'));
+                }
+                
+                // Reenvio de um evento que ainda não foi concluído: atualiza o payload e processa de novo
+                if (!WEBHOOK_REPLAYABLE_STATUSES.includes(existing.processing_status)) {
+                    return callback(null, existing, true);
+                }
+                
+                db.run('UPDATE webhook_events SET payload = ?, headers = ?, ip = ? WHERE id = ?',
+                    [payload, headers, normalizeIp(req.ip), existing.id],
+                    (err) => callback(err, existing, false));
+            });
+        }
+        
+        if (err) {
+            return callback(err);
+        }
+        
+        db.get('SELECT * FROM webhook_events WHERE id = ?', [this.lastID], (err, row) => callback(err, row, false));
+    });
+}
+
+// Processa o evento normalizado e grava o desfecho na linha do inbox
+function runWebhookEvent(eventRow, event, callback) {
+    processSaleEvent(event, (err, result) => {
+        const processingStatus = webhookProcessingStatus(err, result);
+        
+        if (err && !err.statusCode) {
+            console.error(`❌ Erro ao processar webhook ${eventRow.provider}:`, err);
+        }
+        
+        const updateQuery = `
+            UPDATE webhook_events 
+            SET processing_status = ?, result = ?, error = ?, attempts = attempts + 1, processed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        const itemErrors = result && result.items ? result.items.filter(item => item.error).map(item => `${item.offer_id}: ${item.error}`) : [];
+        
+        db.run(updateQuery, [
+            processingStatus,
+            result ? JSON.stringify(result) : null,
+            err ? err.message : (itemErrors.join('; ') || null),
+            eventRow.id
+        ], (updateErr) => {
+            if (updateErr) {
+                console.error('❌ Erro ao atualizar evento do inbox:', updateErr);
+            }
+            
+            console.log(`📥 Evento #${eventRow.id} → ${processingStatus}`);
+            callback(err, result, processingStatus);
+        });
+    });
+}
+
+// Handler HTTP comum a todos os provedores
+function handleProviderWebhook(provider) {
+    const adapter = PAYMENT_PROVIDERS[provider];
+    
+    return (req, res) => {
+        console.log(`\n🔔 ===== WEBHOOK ${adapter.name.toUpperCase()} RECEBIDO =====`);
+        console.log('⏰ Timestamp:', new Date().toLocaleString('pt-BR'));
+        console.log('📦 Body completo:', JSON.stringify(req.body, null, 2));
+        
+        let event = null;
+        let parseError = null;
+        try {
+            event = normalizeSaleEvent(provider, adapter.parse(req.body || {}));
+        } catch (error) {
+            parseError = error;
+        }
+        
+        recordWebhookEvent(provider, event, req, (err, eventRow, duplicate) => {
+            if (err) {
+                // Sem inbox não há como garantir o reprocessamento: 500 para o provedor reenviar
+                console.error('❌ Erro ao gravar evento no inbox:', err);
+                console.log('============================================\n');
+                return res.status(500).json({ success: false, error: 'Erro interno', timestamp: new Date().toISOString() });
+            }
+            
+            if (duplicate) {
+                console.log(`♻️ Evento duplicado (#${eventRow.id}, ${eventRow.processing_status}) - ignorado`);
+                console.log('============================================\n');
+                return res.json({
+                    success: true,
+                    provider,
+                    event_id: eventRow.id,
+                    duplicate: true,
+                    message: 'Evento já processado',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            
+            if (parseError) {
+                console.error(`❌ ERRO CRÍTICO no webhook ${adapter.name}:`, parseError);
+                console.log('============================================\n');
+                db.run(`UPDATE webhook_events SET processing_status = 'invalid', error = ?, attempts = attempts + 1, processed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [parseError.message, eventRow.id]);
+                return res.status(400).json({ success: false, error: 'Dados inválidos', event_id: eventRow.id, timestamp: new Date().toISOString() });
+            }
+            
+            console.log('\n📊 EVENTO NORMALIZADO:');
+            console.log(`- Inbox: #${eventRow.id}`);
+            console.log(`- Status: ${event.status} (${event.raw_status})`);
+            console.log(`- Email do cliente: ${event.email}`);
+            console.log(`- Ofertas: ${event.offers.map(offer => offer.code).join(', ') || '-'}`);
+            console.log(`- Valor: ${event.amount} ${event.currency}`);
+            console.log(`- ID da venda: ${event.external_id}`);
+            
+            runWebhookEvent(eventRow, event, (err, result, processingStatus) => {
+                console.log('============================================\n');
+                
+                if (err) {
+                    return res.status(err.statusCode || 500).json({
+                        success: false,
+                        error: err.statusCode ? err.message : 'Erro interno',
+                        event_id: eventRow.id,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                
+                // Falha em algum item → 500 para o provedor reenviar (o reprocessamento é idempotente)
+                const failed = processingStatus === 'failed';
+                res.status(failed ? 500 : 200).json({
+                    success: !failed,
+                    provider,
+                    event_id: eventRow.id,
+                    processing_status: processingStatus,
+                    sale_id: event.external_id,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            });
+        });
+    };
+}
+
+Object.keys(PAYMENT_PROVIDERS).forEach(provider => {
+    app.post(`/webhook/${provider}`, verifyWebhook(provider), handleProviderWebhook(provider));
+});
+
+// VERIFICAÇÃO DE ACESSO (email vem da sessão do membro)
+// Aceita um código de plano (plano_code) ou um produto (product_id), que confere todos os planos do produto
+app.post('/api/check-access', requireMemberSession, (req, res) => {
+    const { plano_code, product_id } = req.body;
+    const email = req.member.email;
+    const target = plano_code || (product_id ? `produto #${product_id}` : null);
+    
+    console.log(`🔍 Verificando acesso: ${email} → ${target} (${new Date().toLocaleTimeString()})`);
+    
+    if (!target) {
+        return res.status(400).json({ success: false, error: 'Código do plano ou produto é obrigatório' });
+    }
+    
+    const planFilter = plano_code
+        ? 'ua.plan_code = ?'
+        : 'ua.plan_code IN (SELECT pp.plan_code FROM product_plans pp JOIN products p ON p.id = pp.product_id WHERE pp.product_id = ? AND p.deleted_at IS NULL)';
+    
+    const query = `
+        SELECT ua.*, ${ACCESS_PRODUCT_NAMES_SELECT}
+        FROM user_access ua
+        WHERE LOWER(ua.email) = ? AND ${planFilter}
+        AND ua.status = 'active'
+        AND (ua.expires_at IS NULL OR ua.expires_at > datetime('now'))
+        ORDER BY ua.updated_at DESC, ua.created_at DESC
+        LIMIT 1
+    `;
+    
+    db.get(query, [email, plano_code || product_id], (err, row) => {
+        if (err) {
+            console.error('❌ Erro ao verificar acesso:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        if (row) {
+            console.log(`✅ ACESSO LIBERADO para ${email} no plano ${row.plan_code}`);
+            res.json({ 
+                success: true, 
+                hasAccess: true, 
+                access: row,
+                message: `Acesso liberado - Plano: ${row.plan_name || row.plan_code}`,
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            console.log(`❌ ACESSO NEGADO para ${email} → ${target}`);
+            res.json({ 
+                success: true, 
+                hasAccess: false, 
+                message: 'Acesso negado - Plano não adquirido',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+});
+
+// =============================================================================
+// ENDPOINT DE DEBUG PARA TESTAR KIRVANO
+// =============================================================================
+
+app.post('/debug/simulate-kirvano', requirePermission('access:write'), (req, res) => {
+    const { email, offer_id } = req.body;
+    
+    if (!email || !offer_id) {
+        return res.status(400).json({ error: 'Email e offer_id são obrigatórios' });
+    }
+    
+    // Simular payload da Kirvano
+    const mockPayload = {
+        event: 'SALE_APPROVED',
+        status: 'APPROVED',
+        sale_id: 'TEST_' + Date.now(),
+        checkout_id: 'CHK_' + Date.now(),
+        total_price: 'R$ 99,99',
+        customer: {
+            email: email,
+            name: 'Cliente Teste',
+            document: '12345678901',
+            phone_number: '11999999999'
+        },
+        products: [{
+            id: 'prod_test_' + Date.now(),
+            name: 'Produto Teste',
+            offer_id: offer_id,
+            offer_name: 'Oferta Teste',
+            description: 'Produto para teste do webhook',
+            price: 'R$ 99,99'
+        }]
+    };
+    
+    console.log('\n🧪 SIMULANDO WEBHOOK KIRVANO:');
+    console.log('📧 Email:', email);
+    console.log('🏷️ Offer ID:', offer_id);
+    
+    // Fazer request interno para o webhook, assinado como a Kirvano faria
+    const body = JSON.stringify(mockPayload);
+    const security = WEBHOOK_SECURITY.kirvano;
+    const headers = { 'Content-Type': 'application/json' };
+    
+    if (security.token) {
+        headers[process.env.KIRVANO_TOKEN_HEADER || 'security-token'] = security.token;
+    }
+    if (security.hmacSecret) {
+        headers[security.hmacHeader] = crypto.createHmac('sha256', security.hmacSecret).update(body).digest('hex');
+    }
+    
+    fetch(`http://127.0.0.1:${PORT}/webhook/kirvano`, { method: 'POST', headers, body })
+        .then(async response => {
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw Object.assign(new Error('Webhook recusou a simulação'), { details: data });
+            }
+            
+            // Marca os acessos gerados pela simulação como dados de teste
+            db.run('UPDATE user_access SET is_test = 1 WHERE payment_id = ?', [mockPayload.sale_id], (err) => {
+                if (err) {
+                    console.error('❌ Erro ao marcar acesso de teste:', err);
+                }
+                
+                res.json({
+                    success: true,
+                    message: 'Webhook simulado com sucesso',
+                    webhook_response: data,
+                    mock_payload: mockPayload,
+                    timestamp: new Date().toISOString()
+                });
+            });
+        })
+        .catch(error => {
+            res.status(500).json({
+                success: false,
+                error: 'Erro ao simular webhook',
+                details: error.details || error.message,
+                mock_payload: mockPayload,
+                timestamp: new Date().toISOString()
+            });
+        });
+});
+
+console.log(`🔄 Webhooks de pagamento: ${Object.keys(PAYMENT_PROVIDERS).map(provider => `/webhook/${provider}`).join(', ')}`);
+if (DEBUG_ROUTES_ENABLED) {
+    console.log('🧪 Teste disponível em: POST /debug/simulate-kirvano (admin com access:write)');
+    console.log('📋 Exemplo de teste: { "email": "teste@email.com", "offer_id": "94069d91-6bdf-47b0-b7e2-35c6d384e793" }');
+}
+
+// =============================================================================
+// ADMIN AUTH - contas com senha (scrypt) e sessão assinada
+// =============================================================================
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return safeEqual(candidate, hash);
+}
+
+function createAdmin(username, password, role, callback) {
+    const cleanUsername = String(username || '').trim();
+
+    if (!cleanUsername || String(password || '').length < ADMIN_PASSWORD_MIN_LENGTH) {
+        return callback(new Error(`Usuário obrigatório e senha com no mínimo ${ADMIN_PASSWORD_MIN_LENGTH} caracteres`));
+    }
+
+    if (!ADMIN_ROLES[role]) {
+        return callback(new Error(`Papel inválido: ${role}`));
+    }
+
+    db.run(
+        'INSERT INTO admins (username, password_hash, role) VALUES (?, ?, ?)',
+        [cleanUsername, hashPassword(password), role],
+        function(err) {
+            if (err) return callback(err);
+            callback(null, { id: this.lastID, username: cleanUsername, role });
+        }
+    );
+}
+
+function getRolePermissions(role) {
+    const roleConfig = ADMIN_ROLES[role];
+    if (!roleConfig) return [];
+    return roleConfig.permissions.includes('*')
+        ? ['products:write', 'access:read', 'access:write', 'revenue:read', 'admins:manage']
+        : roleConfig.permissions;
+}
+
+function hasPermission(admin, permission) {
+    return getRolePermissions(admin.role).includes(permission);
+}
+
+// Middleware: exige admin logado com a permissão informada
+function requirePermission(permission) {
+    return [requireAdmin, (req, res, next) => {
+        if (!hasPermission(req.admin, permission)) {
+            console.log(`🚫 ${req.admin.username} (${req.admin.role}) sem permissão ${permission}: ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({
+                success: false,
+                error: 'Seu perfil não tem permissão para esta ação',
+                code: 'FORBIDDEN',
+                required_permission: permission
+            });
+        }
+        next();
+    }];
+}
+
+// Primeiro acesso: cria o owner a partir de ADMIN_BOOTSTRAP_USERNAME/ADMIN_BOOTSTRAP_PASSWORD se não houver admins
+function bootstrapAdmin() {
+    const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+    const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+
+    if (CLI_COMMAND === 'create-admin') {
+        return;
+    }
+
+    db.get('SELECT COUNT(*) as count FROM admins', (err, row) => {
+        if (err) {
+            return console.error('❌ Erro ao verificar admins:', err);
+        }
+
+        if (row.count > 0) {
+            return;
+        }
+
+        if (!username || !password) {
+            console.warn('⚠️ Nenhum admin cadastrado. Defina ADMIN_BOOTSTRAP_USERNAME/ADMIN_BOOTSTRAP_PASSWORD ou rode: npm run create-admin -- <usuario> <senha>');
+            return;
+        }
+
+        createAdmin(username, password, 'owner', (err, admin) => {
+            if (err) {
+                return console.error('❌ Erro ao criar admin inicial:', err.message);
+            }
+            console.log(`👑 Admin inicial criado: ${admin.username}`);
+        });
+    });
+}
+
+// Middleware: exige sessão de admin válida (Bearer ou cookie vip_admin) e define req.admin
+// Sessão de admin ativa para o id do token (null se revogada, expirada ou admin desativado)
+function loadAdminSession(sessionId, callback) {
+    const query = `
+        SELECT s.id as session_id, a.id, a.username, a.role
+        FROM admin_sessions s
+        JOIN admins a ON a.id = s.admin_id
+        WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now') AND a.active = 1
+    `;
+
+    db.get(query, [sessionId], (err, admin) => {
+        if (err || !admin) {
+            return callback(err, null);
+        }
+        callback(null, { id: admin.id, username: admin.username, role: admin.role, sessionId: admin.session_id });
+    });
+}
+
+function requireAdmin(req, res, next) {
+    const token = getBearerToken(req) || req.cookies.vip_admin;
+    const payload = verifyToken(token, 'admin');
+
+    if (!payload) {
+        return res.status(401).json({
+            success: false,
+            error: token ? 'Sessão de admin inválida ou expirada' : 'Login de admin necessário',
+            code: 'ADMIN_SESSION_REQUIRED'
+        });
+    }
+
+    loadAdminSession(payload.sid, (err, admin) => {
+        if (err) {
+            console.error('❌ Erro ao validar sessão de admin:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+
+        if (!admin) {
+            return res.status(401).json({ success: false, error: 'Sessão de admin encerrada', code: 'ADMIN_SESSION_REQUIRED' });
+        }
+
+        req.admin = admin;
+        next();
+    });
+}
+
+// Preenche req.admin quando houver sessão válida, sem bloquear visitantes
+function optionalAdmin(req, res, next) {
+    const payload = verifyToken(getBearerToken(req) || req.cookies.vip_admin, 'admin');
+
+    if (!payload) {
+        return next();
+    }
+
+    loadAdminSession(payload.sid, (err, admin) => {
+        if (err) {
+            console.error('❌ Erro ao validar sessão de admin:', err);
+        }
+        req.admin = admin || undefined;
+        next();
+    });
+}
+
+app.post('/api/admin/login', (req, res) => {
+    const { username, password } = req.body;
+    
+    const invalid = () => res.status(401).json({ 
+        success: false, 
+        error: 'Credenciais inválidas',
+        timestamp: new Date().toISOString()
+    });
+    
+    if (!username || !password) {
+        return invalid();
+    }
+    
+    const query = `
+        SELECT *, (locked_until IS NOT NULL AND locked_until > datetime('now')) AS is_locked
+        FROM admins WHERE username = ? AND active = 1
+    `;
+    
+    db.get(query, [String(username).trim()], (err, admin) => {
+        if (err) {
+            console.error('❌ Erro ao buscar admin:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        if (!admin) {
+            // Mantém o custo do scrypt para não revelar quais usuários existem
+            verifyPassword(password, hashPassword('dummy'));
+            return invalid();
+        }
+        
+        if (admin.is_locked) {
+            return res.status(429).json({ 
+                success: false, 
+                error: 'Conta bloqueada temporariamente por excesso de tentativas',
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        if (!verifyPassword(password, admin.password_hash)) {
+            const lockQuery = `
+                UPDATE admins
+                SET failed_attempts = failed_attempts + 1,
+                    locked_until = CASE WHEN failed_attempts + 1 >= ? THEN datetime('now', ?) ELSE locked_until END
+                WHERE id = ?
+            `;
+            db.run(lockQuery, [ADMIN_MAX_FAILED_LOGINS, `+${ADMIN_LOCK_MINUTES} minutes`, admin.id]);
+            console.log(`❌ Senha incorreta para admin ${admin.username}`);
+            return invalid();
+        }
+        
+        const sessionId = crypto.randomUUID();
+        const sessionQuery = `
+            INSERT INTO admin_sessions (id, admin_id, user_agent, ip, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', ?))
+        `;
+        
+        db.run(sessionQuery, [sessionId, admin.id, req.get('User-Agent') || null, req.ip, `+${ADMIN_SESSION_TTL_HOURS} hours`], (err) => {
+            if (err) {
+                console.error('❌ Erro ao criar sessão de admin:', err);
+                return res.status(500).json({ success: false, error: 'Erro interno' });
+            }
+            
+            db.run(
+                'UPDATE admins SET failed_attempts = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [admin.id]
+            );
+            
+            const token = signToken({ typ: 'admin', sid: sessionId, admin_id: admin.id }, ADMIN_SESSION_TTL_HOURS * 60 * 60);
+            res.cookie('vip_admin', token, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: COOKIE_SECURE,
+                path: '/',
+                maxAge: ADMIN_SESSION_TTL_HOURS * 60 * 60 * 1000
+            });
+            
+            console.log(`👑 Admin logado: ${admin.username}`);
+            res.json({ 
+                success: true, 
+                message: 'Login realizado com sucesso!',
+                token,
+                admin: {
+                    id: admin.id,
+                    username: admin.username,
+                    role: admin.role,
+                    permissions: getRolePermissions(admin.role)
+                },
+                expires_in: ADMIN_SESSION_TTL_HOURS * 60 * 60,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+app.get('/api/admin/me', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        admin: {
+            id: req.admin.id,
+            username: req.admin.username,
+            role: req.admin.role,
+            permissions: getRolePermissions(req.admin.role)
+        },
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.post('/api/admin/logout', requireAdmin, (req, res) => {
+    db.run('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [req.admin.sessionId], (err) => {
+        if (err) {
+            console.error('❌ Erro ao encerrar sessão de admin:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        res.clearCookie('vip_admin', { path: '/' });
+        console.log(`👋 Admin saiu: ${req.admin.username}`);
+        res.json({ success: true, message: 'Sessão encerrada' });
+    });
+});
+
+// Troca de senha do próprio admin (encerra as outras sessões)
+app.post('/api/admin/password', requireAdmin, (req, res) => {
+    const { current_password, new_password } = req.body;
+    
+    if (String(new_password || '').length < ADMIN_PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({ success: false, error: `A nova senha deve ter no mínimo ${ADMIN_PASSWORD_MIN_LENGTH} caracteres` });
+    }
+    
+    db.get('SELECT password_hash FROM admins WHERE id = ?', [req.admin.id], (err, admin) => {
+        if (err || !admin) {
+            return res.status(500).json({ success: false, error: 'Erro interno' });
+        }
+        
+        if (!verifyPassword(current_password, admin.password_hash)) {
+            return res.status(401).json({ success: false, error: 'Senha atual incorreta' });
+        }
+        
+        db.run(
+            'UPDATE admins SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [hashPassword(new_password), req.admin.id],
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ success: false, error: 'Erro interno' });
+                }
+                
+                db.run(
+                    'UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE admin_id = ? AND id != ? AND revoked_at IS NULL',
+                    [req.admin.id, req.admin.sessionId]
+                );
+                
+                console.log(`🔐 Senha alterada: ${req.admin.username}`);
+                res.json({ success: true, message: 'Senha alterada com sucesso!' });
+            }
+        );
+    });
+});
+
+// =============================================================================
+// GESTÃO DE ACESSOS DOS MEMBROS (suporte) - toda alteração fica no access_audit_log
+// =============================================================================
+
+// Registra quem alterou um acesso, o motivo e o antes/depois
+function recordAccessAudit(accessId, email, admin, action, reason, details) {
+    const query = `
+        INSERT INTO access_audit_log (access_id, email, action, reason, details, admin_id, admin_username)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    db.run(query, [accessId, email, action, reason, JSON.stringify(details || {}), admin.id, admin.username], (err) => {
+        if (err) {
+            console.error('❌ Erro ao gravar auditoria de acesso:', err);
+        }
+    });
+}
+
+// "2026-12-31" (fim do dia, UTC) ou data ISO → formato do SQLite; null = sem vencimento, undefined = inválida
+function toSqliteDateTime(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    
+    const text = String(value).trim();
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59Z` : text);
+    
+    if (isNaN(date.getTime())) {
+        return undefined;
+    }
+    
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Carrega o acesso pelo id da URL ou responde 404
+function loadAccessOr404(req, res, callback) {
+    db.get('SELECT * FROM user_access WHERE id = ?', [req.params.id], (err, access) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        if (!access) {
+            return res.status(404).json({ success: false, error: 'Acesso não encontrado' });
+        }
+        callback(access);
+    });
+}
+
+function requireReason(req, res) {
+    const reason = String(req.body.reason || '').trim();
+    
+    if (!reason) {
+        res.status(400).json({ success: false, error: 'Informe o motivo da alteração' });
+        return null;
+    }
+    
+    return reason;
+}
+
+// Acessos liberados (dados de clientes - somente admin); ?q= busca por parte do email
+app.get('/api/admin/access', requirePermission('access:read'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const search = String(req.query.q || '').trim().toLowerCase();
+    const where = search ? 'WHERE LOWER(email) LIKE ?' : '';
+    const params = search ? [`%${search}%`, limit] : [limit];
+    
+    db.all(`SELECT * FROM user_access ${where} ORDER BY created_at DESC LIMIT ?`, params, (err, rows) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        
+        db.get("SELECT COUNT(*) as count FROM user_access WHERE status = 'active'", (err, active) => {
+            res.json({ 
+                success: true,
+                access_records: rows,
+                active_total: active ? active.count : 0,
+                total: rows.length,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// Histórico de alterações feitas pelo suporte (?q= parte do email, ?access_id=)
+app.get('/api/admin/access-audit', requirePermission('access:read'), (req, res) => {
+    const conditions = [];
+    const params = [];
+    
+    if (req.query.q) {
+        conditions.push('LOWER(email) LIKE ?');
+        params.push(`%${String(req.query.q).trim().toLowerCase()}%`);
+    }
+    if (req.query.access_id) {
+        conditions.push('access_id = ?');
+        params.push(req.query.access_id);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    
+    db.all(`SELECT * FROM access_audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`, [...params, limit], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        
+        res.json({
+            success: true,
+            audit: rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : {} })),
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+// Liberação manual de acesso (suporte)
+app.post('/api/admin/access', requirePermission('access:write'), (req, res) => {
+    const email = normalizeEmail(req.body.email);
+    const { plan_code, plan_name } = req.body;
+    
+    if (!EMAIL_REGEX.test(email) || !plan_code) {
+        return res.status(400).json({ success: false, error: 'Email válido e plan_code são obrigatórios' });
+    }
+    
+    const reason = requireReason(req, res);
+    if (!reason) return;
+    
+    // Sem expires_at explícito vale a vigência configurada para o plano
+    const explicitExpiry = req.body.expires_at !== undefined && req.body.expires_at !== '' ? toSqliteDateTime(req.body.expires_at) : undefined;
+    if (req.body.expires_at && explicitExpiry === undefined) {
+        return res.status(400).json({ success: false, error: 'Data de vencimento inválida' });
+    }
+    
+    getPlanDuration(plan_code, (err, durationDays) => {
+        if (err) {
+            console.error('❌ Erro ao buscar vigência do plano:', err);
+            return res.status(500).json({ success: false, error: 'Erro ao liberar acesso' });
+        }
+        
+        const insertQuery = `
+            INSERT INTO user_access 
+            (email, product_code, plan_code, plan_name, sale_amount, payment_id, provider, status, expires_at, updated_at)
+            VALUES (?, ?, ?, ?, 0, ?, 'manual', 'active', COALESCE(?, datetime('now', ?)), CURRENT_TIMESTAMP)
+        `;
+        
+        db.run(insertQuery, [
+            email,
+            plan_code,
+            plan_code,
+            plan_name || 'Liberação manual',
+            `MANUAL_${Date.now()}`,
+            explicitExpiry || null,
+            explicitExpiry ? null : durationModifier(durationDays)
+        ], function(err) {
+            if (err) {
+                console.error('❌ Erro ao liberar acesso manual:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao liberar acesso' });
+            }
+            
+            const accessId = this.lastID;
+            recordAccessAudit(accessId, email, req.admin, 'grant', reason, { plan_code, expires_at: explicitExpiry || null, duration_days: durationDays });
+            
+            console.log(`✅ Acesso liberado manualmente por ${req.admin.username}: ${email} → ${plan_code} (${reason})`);
+            res.json({ 
+                success: true, 
+                message: 'Acesso liberado com sucesso!',
+                access_id: accessId,
+                duration_days: durationDays,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+app.post('/api/admin/access/:id/revoke', requirePermission('access:write'), (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+    
+    const query = `
+        UPDATE user_access 
+        SET status = 'revoked', revoked_reason = 'manual', revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'active'
+    `;
+    
+    loadAccessOr404(req, res, (access) => {
+        db.run(query, [access.id], function(err) {
+            if (err) {
+                console.error('❌ Erro ao revogar acesso:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao revogar acesso' });
+            }
+            
+            if (this.changes === 0) {
+                return res.status(409).json({ success: false, error: 'Este acesso não está ativo' });
+            }
+            
+            recordAccessAudit(access.id, access.email, req.admin, 'revoke', reason, { previous_status: access.status });
+            console.log(`🚫 Acesso ${access.id} revogado por ${req.admin.username} (${reason})`);
+            res.json({ success: true, message: 'Acesso revogado', timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+// Alterar vencimento (null = vitalício). Um acesso vencido volta a ficar ativo se a nova data for futura.
+app.put('/api/admin/access/:id/expiry', requirePermission('access:write'), (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+    
+    const expiresAt = toSqliteDateTime(req.body.expires_at === undefined ? '' : req.body.expires_at);
+    if (expiresAt === undefined) {
+        return res.status(400).json({ success: false, error: 'Data de vencimento inválida' });
+    }
+    
+    loadAccessOr404(req, res, (access) => {
+        if (access.status === 'revoked') {
+            return res.status(409).json({ success: false, error: 'Acesso revogado - libere um novo acesso em vez de alterar o vencimento' });
+        }
+        
+        const query = `
+            UPDATE user_access 
+            SET expires_at = ?,
+                status = CASE WHEN ? IS NULL OR ? > datetime('now') THEN 'active' ELSE 'expired' END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        
+        db.run(query, [expiresAt, expiresAt, expiresAt, access.id], (err) => {
+            if (err) {
+                console.error('❌ Erro ao alterar vencimento:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao alterar vencimento' });
+            }
+            
+            recordAccessAudit(access.id, access.email, req.admin, 'expiry', reason, { from: access.expires_at, to: expiresAt });
+            console.log(`⌛ Vencimento do acesso ${access.id} alterado por ${req.admin.username}: ${access.expires_at || 'vitalício'} → ${expiresAt || 'vitalício'}`);
+            res.json({ success: true, message: 'Vencimento atualizado', expires_at: expiresAt, timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+// Transferir o acesso para o email correto do comprador
+app.post('/api/admin/access/:id/transfer', requirePermission('access:write'), (req, res) => {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+    
+    const email = normalizeEmail(req.body.email);
+    if (!EMAIL_REGEX.test(email)) {
+        return res.status(400).json({ success: false, error: 'Email de destino inválido' });
+    }
+    
+    loadAccessOr404(req, res, (access) => {
+        if (normalizeEmail(access.email) === email) {
+            return res.status(400).json({ success: false, error: 'O acesso já pertence a este email' });
+        }
+        
+        db.run('UPDATE user_access SET email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [email, access.id], (err) => {
+            if (err) {
+                console.error('❌ Erro ao transferir acesso:', err);
+                return res.status(500).json({ success: false, error: 'Erro ao transferir acesso' });
+            }
+            
+            // Registrado nos dois emails para aparecer no histórico de ambos
+            recordAccessAudit(access.id, access.email, req.admin, 'transfer_out', reason, { from: access.email, to: email });
+            recordAccessAudit(access.id, email, req.admin, 'transfer_in', reason, { from: access.email, to: email });
+            console.log(`🔀 Acesso ${access.id} transferido por ${req.admin.username}: ${access.email} → ${email}`);
+            res.json({ success: true, message: 'Acesso transferido', email, timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+// =============================================================================
+// IMPORTAÇÃO EM MASSA (CSV) - prévia (dry-run) e gravação em uma única transação
+// =============================================================================
+
+const IMPORT_MAX_ROWS = 5000;
+
+// Cabeçalhos aceitos (pt/en) → campo
+const IMPORT_COLUMNS = {
+    email: 'email',
+    plan_code: 'plan_code',
+    plano: 'plan_code',
+    codigo_plano: 'plan_code',
+    expires_at: 'expires_at',
+    vencimento: 'expires_at',
+    amount: 'amount',
+    valor: 'amount'
+};
+
+// CSV simples com aspas; separador vírgula ou ponto e vírgula (Excel pt-BR)
+function parseCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Códigos de plano configurados nos produtos → produto
+function loadConfiguredPlanCodes(callback) {
+    const query = `
+        SELECT pp.plan_code, p.id, p.name
+        FROM product_plans pp
+        JOIN products p ON p.id = pp.product_id
+        WHERE p.deleted_at IS NULL
+        ORDER BY p.id
+    `;
+    
+    db.all(query, [], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        const plans = {};
+        rows.forEach(row => {
+            plans[row.plan_code] = plans[row.plan_code] || { id: row.id, name: row.name };
+        });
+        callback(null, plans);
+    });
+}
+
+// Valida cada linha: email, plano configurado, vencimento/valor opcionais e duplicados (arquivo e banco)
+function buildImportPreview(csvText, callback) {
+    const rows = parseCsv(csvText);
+    
+    if (rows.length === 0) {
+        return callback(Object.assign(new Error('CSV vazio'), { statusCode: 400 }));
+    }
+    
+    const header = rows[0].map(cell => IMPORT_COLUMNS[cell.trim().toLowerCase()] || null);
+    if (!header.includes('email') || !header.includes('plan_code')) {
+        return callback(Object.assign(new Error('Cabeçalho deve ter as colunas email e plan_code (opcionais: expires_at, amount)'), { statusCode: 400 }));
+    }
+    if (rows.length - 1 > IMPORT_MAX_ROWS) {
+        return callback(Object.assign(new Error(`Máximo de ${IMPORT_MAX_ROWS} linhas por importação`), { statusCode: 400 }));
+    }
+    
+    loadConfiguredPlanCodes((err, plans) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        db.all("SELECT LOWER(email) as email, plan_code FROM user_access WHERE status = 'active'", [], (err, activeRows) => {
+            if (err) {
+                return callback(err);
+            }
+            
+            const existing = new Set(activeRows.map(row => `${row.email}|${row.plan_code}`));
+            const seen = new Set();
+            
+            const preview = rows.slice(1).map((cells, index) => {
+                const values = {};
+                header.forEach((column, i) => {
+                    if (column) values[column] = String(cells[i] || '').trim();
+                });
+                
+                const row = {
+                    line: index + 2,
+                    email: normalizeEmail(values.email),
+                    plan_code: values.plan_code,
+                    expires_at: null,
+                    amount: 0,
+                    status: 'ok',
+                    errors: []
+                };
+                
+                if (!EMAIL_REGEX.test(row.email)) {
+                    row.errors.push('Email inválido');
+                }
+                if (!row.plan_code) {
+                    row.errors.push('Código do plano obrigatório');
+                } else if (!plans[row.plan_code]) {
+                    row.errors.push(`Plano ${row.plan_code} não está configurado em nenhum produto`);
+                } else {
+                    row.product_id = plans[row.plan_code].id;
+                    row.product_name = plans[row.plan_code].name;
+                }
+                if (values.expires_at) {
+                    row.expires_at = toSqliteDateTime(values.expires_at);
+                    if (row.expires_at === undefined) {
+                        row.errors.push('Vencimento inválido (use AAAA-MM-DD)');
+                    }
+                }
+                if (values.amount) {
+                    row.amount = parseAmount(values.amount);
+                    if (row.amount < 0) {
+                        row.errors.push('Valor não pode ser negativo');
+                    }
+                }
+                
+                const key = `${row.email}|${row.plan_code}`;
+                if (row.errors.length > 0) {
+                    row.status = 'error';
+                } else if (existing.has(key) || seen.has(key)) {
+                    row.status = 'duplicate';
+                }
+                seen.add(key);
+                
+                return row;
+            });
+            
+            callback(null, {
+                rows: preview,
+                summary: {
+                    total: preview.length,
+                    ok: preview.filter(row => row.status === 'ok').length,
+                    duplicate: preview.filter(row => row.status === 'duplicate').length,
+                    error: preview.filter(row => row.status === 'error').length
+                }
+            });
+        });
+    });
+}
+
+// Grava as linhas válidas em uma transação; qualquer erro desfaz a importação inteira.
+// O duplicado é conferido de novo dentro dela: uma venda pode ter chegado depois da prévia.
+// callback(err, inserted, skipped)
+function commitImport(rows, batchId, callback) {
+    getAllPlanDurations((err, durations) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        const insertQuery = `
+            INSERT INTO user_access 
+            (email, product_code, plan_code, plan_name, sale_amount, payment_id, provider, status, expires_at, updated_at)
+            SELECT ?, ?, ?, ?, ?, ?, 'import', 'active', COALESCE(?, datetime('now', ?)), CURRENT_TIMESTAMP
+            WHERE NOT EXISTS (SELECT 1 FROM user_access WHERE LOWER(email) = ? AND plan_code = ? AND status = 'active')
+        `;
+        const statements = rows.map(row => [insertQuery, [
+            row.email,
+            String(row.product_id),
+            row.plan_code,
+            row.product_name || row.plan_code,
+            row.amount,
+            `IMPORT_${batchId}_${row.line}`,
+            row.expires_at,
+            row.expires_at ? null : durationModifier(durations[row.plan_code]),
+            row.email,
+            row.plan_code
+        ]]);
+        
+        runTransaction(statements, (err, results) => {
+            if (err) {
+                return callback(err, [], []);
+            }
+            
+            const inserted = [];
+            const skipped = [];
+            results.forEach((result, index) => {
+                if (result.changes > 0) {
+                    inserted.push({ id: result.lastID, row: rows[index] });
+                } else {
+                    skipped.push(rows[index]);
+                }
+            });
+            callback(null, inserted, skipped);
+        });
+    });
+}
+
+app.post('/api/admin/access/import', requirePermission('access:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+    const dryRun = req.query.dry_run !== 'false';
+    const reason = String(req.query.reason || '').trim();
+    
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ success: false, error: 'Envie o CSV no corpo (Content-Type: text/csv)' });
+    }
+    if (!dryRun && !reason) {
+        return res.status(400).json({ success: false, error: 'Informe o motivo da importação' });
+    }
+    
+    buildImportPreview(req.body, (err, preview) => {
+        if (err) {
+            return res.status(err.statusCode || 500).json({ success: false, error: err.message });
+        }
+        
+        if (dryRun) {
+            return res.json({ success: true, dry_run: true, ...preview, timestamp: new Date().toISOString() });
+        }
+        
+        if (preview.summary.error > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Corrija as linhas com erro antes de importar',
+                dry_run: false,
+                ...preview
+            });
+        }
+        
+        const batchId = Date.now();
+        const rowsToInsert = preview.rows.filter(row => row.status === 'ok');
+        
+        commitImport(rowsToInsert, batchId, (err, inserted, skipped) => {
+            if (err) {
+                console.error('❌ Erro na importação CSV (desfeita):', err);
+                return res.status(500).json({ success: false, error: 'Erro ao importar - nenhuma linha foi gravada' });
+            }
+            
+            inserted.forEach(({ id, row }) => {
+                recordAccessAudit(id, row.email, req.admin, 'grant', `Importação CSV: ${reason}`, { plan_code: row.plan_code, batch: batchId, line: row.line });
+            });
+            
+            // Liberados por outra venda entre a prévia e a gravação
+            skipped.forEach(row => {
+                row.status = 'duplicate';
+            });
+            preview.summary.ok -= skipped.length;
+            preview.summary.duplicate += skipped.length;
+            
+            console.log(`📥 Importação CSV por ${req.admin.username}: ${inserted.length} acesso(s) liberado(s), ${preview.summary.duplicate} duplicado(s) ignorado(s)`);
+            res.json({
+                success: true,
+                dry_run: false,
+                batch_id: batchId,
+                imported: inserted.length,
+                ...preview,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// Receita por mês e por plano (financeiro)
+app.get('/api/admin/revenue', requirePermission('revenue:read'), (req, res) => {
+    const byMonthQuery = `
+        SELECT strftime('%Y-%m', created_at) as month, COUNT(*) as sales, ROUND(SUM(sale_amount), 2) as revenue
+        FROM user_access
+        WHERE is_test = 0 AND COALESCE(revoked_reason, '') NOT IN ('refunded', 'chargeback')
+        GROUP BY month
+        ORDER BY month DESC
+        LIMIT 12
+    `;
+    const byPlanQuery = `
+        SELECT plan_code, MAX(plan_name) as plan_name, COUNT(*) as sales, ROUND(SUM(sale_amount), 2) as revenue
+        FROM user_access
+        WHERE is_test = 0 AND COALESCE(revoked_reason, '') NOT IN ('refunded', 'chargeback')
+        GROUP BY plan_code
+        ORDER BY revenue DESC
+    `;
+    
+    db.all(byMonthQuery, [], (err, byMonth) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        
+        db.all(byPlanQuery, [], (err, byPlan) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: err.message });
+            }
+            
+            res.json({
+                success: true,
+                total_revenue: byMonth.reduce((sum, m) => sum + (m.revenue || 0), 0),
+                by_month: byMonth,
+                by_plan: byPlan,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// Vigência dos planos (mensal, anual...) - lida pelos webhooks ao liberar/renovar
+app.get('/api/admin/plan-durations', requireAdmin, (req, res) => {
+    db.all('SELECT * FROM plan_durations ORDER BY plan_code', [], (err, rows) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        res.json({ success: true, plan_durations: rows, timestamp: new Date().toISOString() });
+    });
+});
+
+app.put('/api/admin/plan-durations/:planCode', requirePermission('products:write'), (req, res) => {
+    const planCode = req.params.planCode.trim();
+    const durationDays = req.body.duration_days === null || req.body.duration_days === ''
+        ? null
+        : parseInt(req.body.duration_days);
+    
+    if (!planCode || (durationDays !== null && (!Number.isInteger(durationDays) || durationDays <= 0))) {
+        return res.status(400).json({ success: false, error: 'duration_days deve ser um número de dias positivo ou null (vitalício)' });
+    }
+    
+    const query = `
+        INSERT INTO plan_durations (plan_code, duration_days, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(plan_code) DO UPDATE SET duration_days = excluded.duration_days, updated_at = CURRENT_TIMESTAMP
+    `;
+    
+    db.run(query, [planCode, durationDays], (err) => {
+        if (err) {
+            console.error('❌ Erro ao salvar vigência do plano:', err);
+            return res.status(500).json({ success: false, error: 'Erro ao salvar vigência' });
+        }
+        
+        console.log(`⌛ Vigência do plano ${planCode} definida por ${req.admin.username}: ${durationDays ? `${durationDays} dias` : 'vitalício'}`);
+        res.json({ success: true, plan_code: planCode, duration_days: durationDays, timestamp: new Date().toISOString() });
+    });
+});
+
+app.delete('/api/admin/plan-durations/:planCode', requirePermission('products:write'), (req, res) => {
+    db.run('DELETE FROM plan_durations WHERE plan_code = ?', [req.params.planCode], function(err) {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Plano sem vigência configurada' });
+        }
+        res.json({ success: true, message: 'Plano voltou a ser vitalício', timestamp: new Date().toISOString() });
+    });
+});
+
+// Inbox de webhooks: consulta e reprocessamento de eventos com falha ou sem produto configurado
+app.get('/api/admin/webhook-events', requirePermission('access:read'), (req, res) => {
+    const conditions = [];
+    const params = [];
+    
+    if (req.query.status) {
+        conditions.push('processing_status = ?');
+        params.push(req.query.status);
+    }
+    if (req.query.provider) {
+        conditions.push('provider = ?');
+        params.push(req.query.provider);
+    }
+    if (req.query.email) {
+        conditions.push('LOWER(email) = ?');
+        params.push(normalizeEmail(req.query.email));
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const query = `
+        SELECT id, provider, external_id, event_status, raw_status, email, processing_status, error, attempts, received_at, processed_at
+        FROM webhook_events ${where}
+        ORDER BY received_at DESC, id DESC
+        LIMIT ?
+    `;
+    
+    db.all(query, [...params, limit], (err, events) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        
+        db.all('SELECT processing_status, COUNT(*) as count FROM webhook_events GROUP BY processing_status', (err, counts) => {
+            res.json({
+                success: true,
+                events,
+                counts: Object.fromEntries((counts || []).map(row => [row.processing_status, row.count])),
+                providers: Object.keys(PAYMENT_PROVIDERS),
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+app.get('/api/admin/webhook-events/:id', requirePermission('access:read'), (req, res) => {
+    db.get('SELECT * FROM webhook_events WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Evento não encontrado' });
+        }
+        
+        res.json({
+            success: true,
+            event: {
+                ...row,
+                payload: JSON.parse(row.payload),
+                headers: row.headers ? JSON.parse(row.headers) : null,
+                result: row.result ? JSON.parse(row.result) : null
+            },
+            timestamp: new Date().toISOString()
+        });
+    });
+});
+
+app.post('/api/admin/webhook-events/:id/replay', requirePermission('access:write'), (req, res) => {
+    db.get('SELECT * FROM webhook_events WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Evento não encontrado' });
+        }
+        if (!WEBHOOK_REPLAYABLE_STATUSES.includes(row.processing_status)) {
+            return res.status(409).json({ 
+                success: false, 
+                error: `Evento já concluído (${row.processing_status}) - só eventos com falha, sem produto ou inválidos podem ser reprocessados`
+            });
+        }
+        
+        const adapter = PAYMENT_PROVIDERS[row.provider];
+        let event;
+        try {
+            event = normalizeSaleEvent(row.provider, adapter.parse(JSON.parse(row.payload)));
+        } catch (error) {
+            return res.status(400).json({ success: false, error: `Payload inválido: ${error.message}` });
+        }
+        
+        console.log(`\n🔁 Reprocessando evento #${row.id} (${adapter.name}) por ${req.admin.username}`);
+        runWebhookEvent(row, event, (err, result, processingStatus) => {
+            if (err && !err.statusCode) {
+                return res.status(500).json({ success: false, error: 'Erro ao reprocessar evento', processing_status: processingStatus });
+            }
+            
+            res.json({
+                success: !err && processingStatus !== 'failed',
+                event_id: row.id,
+                processing_status: processingStatus,
+                result: result || null,
+                error: err ? err.message : undefined,
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// =============================================================================
+// CURSOS - MÓDULOS E AULAS DENTRO DO PRODUTO
+// =============================================================================
+
+// Anexos da aula: [{ title, url }] sem itens vazios
+function normalizeAttachments(attachments) {
+    return (Array.isArray(attachments) ? attachments : [])
+        .map(item => ({ title: String(item.title || '').trim(), url: String(item.url || '').trim() }))
+        .filter(item => item.url)
+        .map(item => ({ ...item, title: item.title || item.url.split('/').pop() }));
+}
+
+function saveLessonAttachments(lessonId, attachments, callback) {
+    db.run('DELETE FROM lesson_attachments WHERE lesson_id = ?', [lessonId], (err) => {
+        if (err || attachments.length === 0) {
+            return callback(err);
+        }
+        
+        const placeholders = attachments.map(() => '(?, ?, ?, ?)').join(', ');
+        const params = attachments.flatMap((item, index) => [lessonId, item.title, item.url, index]);
+        db.run(`INSERT INTO lesson_attachments (lesson_id, title, url, position) VALUES ${placeholders}`, params, callback);
+    });
+}
+
+// Reordena as linhas de "table" que pertencem ao pai informado em uma única instrução (position = índice em ids)
+function reorderRows(table, parentColumn, parentId, ids, callback) {
+    const cleanIds = (Array.isArray(ids) ? ids : []).map(id => parseInt(id, 10)).filter(id => id > 0);
+    
+    if (cleanIds.length === 0) {
+        return callback(Object.assign(new Error('Informe a nova ordem (order: [ids])'), { statusCode: 400 }));
+    }
+    
+    const cases = cleanIds.map(() => 'WHEN ? THEN ?').join(' ');
+    const params = [
+        ...cleanIds.flatMap((id, index) => [id, index]),
+        parentId,
+        ...cleanIds
+    ];
+    
+    db.run(`
+        UPDATE ${table} SET position = CASE id ${cases} END, updated_at = CURRENT_TIMESTAMP
+        WHERE ${parentColumn} = ? AND id IN (${cleanIds.map(() => '?').join(', ')})
+    `, params, function(err) {
+        callback(err, this && this.changes);
+    });
+}
+
+// Árvore módulos → aulas → anexos do produto, na ordem configurada
+function loadCourseTree(productId, callback) {
+    db.all('SELECT * FROM product_modules WHERE product_id = ? ORDER BY position, id', [productId], (err, modules) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        const lessonsQuery = `
+            SELECT l.* FROM product_lessons l
+            JOIN product_modules m ON m.id = l.module_id
+            WHERE m.product_id = ?
+            ORDER BY l.position, l.id
+        `;
+        
+        db.all(lessonsQuery, [productId], (err, lessons) => {
+            if (err) {
+                return callback(err);
+            }
+            
+            const attachmentsQuery = `
+                SELECT a.* FROM lesson_attachments a
+                JOIN product_lessons l ON l.id = a.lesson_id
+                JOIN product_modules m ON m.id = l.module_id
+                WHERE m.product_id = ?
+                ORDER BY a.position, a.id
+            `;
+            
+            db.all(attachmentsQuery, [productId], (err, attachments) => {
+                if (err) {
+                    return callback(err);
+                }
+                
+                const tree = modules.map(module => ({
+                    ...module,
+                    lessons: lessons
+                        .filter(lesson => lesson.module_id === module.id)
+                        .map(lesson => ({
+                            ...lesson,
+                            attachments: attachments
+                                .filter(item => item.lesson_id === lesson.id)
+                                .map(({ id, title, url }) => ({ id, title, url }))
+                        }))
+                }));
+                
+                callback(null, tree);
+            });
+        });
+    });
+}
+
+// Acesso ativo do membro a um produto (por qualquer um dos planos do produto); a compra mais antiga conta para o drip
+function getMemberProductAccess(email, productId, callback) {
+    const query = `
+        SELECT * FROM user_access
+        WHERE LOWER(email) = ? AND status = 'active'
+        AND (expires_at IS NULL OR expires_at > datetime('now'))
+        AND plan_code IN (
+            SELECT pp.plan_code FROM product_plans pp JOIN products p ON p.id = pp.product_id
+            WHERE pp.product_id = ? AND ${PRODUCT_RELEASED_CONDITION}
+        )
+        ORDER BY created_at ASC
+        LIMIT 1
+    `;
+    
+    db.get(query, [email, productId], callback);
+}
+
+// Remove módulos, aulas, anexos e downloads do produto (sem PRAGMA foreign_keys não há CASCADE)
+function deleteCourseContent(productId, callback) {
+    db.serialize(() => {
+        db.run('DELETE FROM product_downloads WHERE product_id = ?', [productId]);
+        db.run(`
+            DELETE FROM lesson_attachments WHERE lesson_id IN (
+                SELECT l.id FROM product_lessons l JOIN product_modules m ON m.id = l.module_id WHERE m.product_id = ?
+            )
+        `, [productId]);
+        db.run('DELETE FROM product_lessons WHERE module_id IN (SELECT id FROM product_modules WHERE product_id = ?)', [productId]);
+        db.run('DELETE FROM product_modules WHERE product_id = ?', [productId], callback);
+    });
+}
+
+// Resposta de erro comum às rotas do curso
+function sendCourseError(res, err, fallback) {
+    console.error(`❌ ${fallback}:`, err);
+    res.status(err.statusCode || 500).json({
+        success: false,
+        error: err.statusCode ? err.message : fallback,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Árvore completa do curso para o editor do painel
+app.get('/api/admin/products/:id/modules', requireAdmin, (req, res) => {
+    loadCourseTree(req.params.id, (err, modules) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao buscar módulos');
+        }
+        
+        res.json({ success: true, product_id: parseInt(req.params.id, 10), modules, timestamp: new Date().toISOString() });
+    });
+});
+
+app.post('/api/admin/products/:id/modules', requirePermission('products:write'), (req, res) => {
+    const productId = req.params.id;
+    const title = String(req.body.title || '').trim();
+    
+    if (!title) {
+        return res.status(400).json({ success: false, error: 'Título é obrigatório' });
+    }
+    
+    db.get('SELECT id FROM products WHERE id = ?', [productId], (err, product) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao criar módulo');
+        }
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        }
+        
+        const query = `
+            INSERT INTO product_modules (product_id, title, description, position, release_after_days, release_at)
+            VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM product_modules WHERE product_id = ?), ?, ?)
+        `;
+        
+        db.run(query, [productId, title, req.body.description || null, productId, ...mediaReleaseValues(req.body)], function(err) {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao criar módulo');
+            }
+            
+            console.log(`✅ Módulo criado: ${title} (produto ${productId})`);
+            res.json({ success: true, module_id: this.lastID, message: 'Módulo criado com sucesso!', timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+app.put('/api/admin/products/:id/modules/order', requirePermission('products:write'), (req, res) => {
+    reorderRows('product_modules', 'product_id', req.params.id, req.body.order, (err, changes) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao reordenar módulos');
+        }
+        
+        res.json({ success: true, updated: changes, timestamp: new Date().toISOString() });
+    });
+});
+
+app.put('/api/admin/modules/:id', requirePermission('products:write'), (req, res) => {
+    const title = String(req.body.title || '').trim();
+    
+    if (!title) {
+        return res.status(400).json({ success: false, error: 'Título é obrigatório' });
+    }
+    
+    const query = `
+        UPDATE product_modules
+        SET title = ?, description = ?, release_after_days = ?, release_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
     `;
     
-    db.all(query, [], (err, rows) => {
+    db.run(query, [title, req.body.description || null, ...mediaReleaseValues(req.body), req.params.id], function(err) {
         if (err) {
-            console.error('❌ Erro ao buscar produtos:', err);
-            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+            return sendCourseError(res, err, 'Erro ao atualizar módulo');
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Módulo não encontrado' });
         }
         
-        const products = rows.map(row => {
-            const product = { ...row };
+        res.json({ success: true, message: 'Módulo atualizado com sucesso!', timestamp: new Date().toISOString() });
+    });
+});
+
+app.delete('/api/admin/modules/:id', requirePermission('products:write'), (req, res) => {
+    const moduleId = req.params.id;
+    
+    db.serialize(() => {
+        db.run('DELETE FROM lesson_attachments WHERE lesson_id IN (SELECT id FROM product_lessons WHERE module_id = ?)', [moduleId]);
+        db.run('DELETE FROM product_lessons WHERE module_id = ?', [moduleId]);
+        db.run('DELETE FROM product_modules WHERE id = ?', [moduleId], function(err) {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao excluir módulo');
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ success: false, error: 'Módulo não encontrado' });
+            }
             
-            // CORREÇÃO: Parse correto da galeria
-            if (product.gallery_json) {
-                try {
-                    // Remove o GROUP_CONCAT wrapper e faz parse individual
-                    const galleryString = product.gallery_json;
-                    const items = galleryString.split('},{').map((item, index, arr) => {
-                        if (index === 0 && arr.length > 1) {
-                            return item + '}';
-                        } else if (index === arr.length - 1 && arr.length > 1) {
-                            return '{' + item;
-                        } else if (arr.length > 1) {
-                            return '{' + item + '}';
-                        }
-                        return item;
-                    });
+            console.log(`🗑️ Módulo excluído: ID ${moduleId}`);
+            res.json({ success: true, message: 'Módulo excluído com sucesso!', timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+app.post('/api/admin/modules/:id/lessons', requirePermission('products:write'), (req, res) => {
+    const moduleId = req.params.id;
+    const { description, video_url, body } = req.body;
+    const title = String(req.body.title || '').trim();
+    
+    if (!title) {
+        return res.status(400).json({ success: false, error: 'Título é obrigatório' });
+    }
+    
+    db.get('SELECT id FROM product_modules WHERE id = ?', [moduleId], (err, module) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao criar aula');
+        }
+        if (!module) {
+            return res.status(404).json({ success: false, error: 'Módulo não encontrado' });
+        }
+        
+        const query = `
+            INSERT INTO product_lessons (module_id, title, description, video_url, body, position)
+            VALUES (?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM product_lessons WHERE module_id = ?))
+        `;
+        
+        db.run(query, [moduleId, title, description || null, video_url || null, body || null, moduleId], function(err) {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao criar aula');
+            }
+            
+            const lessonId = this.lastID;
+            
+            saveLessonAttachments(lessonId, normalizeAttachments(req.body.attachments), (err) => {
+                if (err) {
+                    return sendCourseError(res, err, 'Erro ao salvar anexos da aula');
+                }
+                
+                console.log(`✅ Aula criada: ${title} (módulo ${moduleId})`);
+                res.json({ success: true, lesson_id: lessonId, message: 'Aula criada com sucesso!', timestamp: new Date().toISOString() });
+            });
+        });
+    });
+});
+
+app.put('/api/admin/modules/:id/lessons/order', requirePermission('products:write'), (req, res) => {
+    reorderRows('product_lessons', 'module_id', req.params.id, req.body.order, (err, changes) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao reordenar aulas');
+        }
+        
+        res.json({ success: true, updated: changes, timestamp: new Date().toISOString() });
+    });
+});
+
+// Atualiza a aula; module_id opcional move a aula para o fim de outro módulo do mesmo produto
+app.put('/api/admin/lessons/:id', requirePermission('products:write'), (req, res) => {
+    const lessonId = req.params.id;
+    const { description, video_url, body, module_id } = req.body;
+    const title = String(req.body.title || '').trim();
+    
+    if (!title) {
+        return res.status(400).json({ success: false, error: 'Título é obrigatório' });
+    }
+    
+    const lookupQuery = `
+        SELECT l.module_id, m.product_id,
+               (SELECT product_id FROM product_modules WHERE id = ?) as target_product_id
+        FROM product_lessons l JOIN product_modules m ON m.id = l.module_id
+        WHERE l.id = ?
+    `;
+    
+    db.get(lookupQuery, [module_id || null, lessonId], (err, lesson) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao atualizar aula');
+        }
+        if (!lesson) {
+            return res.status(404).json({ success: false, error: 'Aula não encontrada' });
+        }
+        
+        const targetModuleId = module_id ? parseInt(module_id, 10) : lesson.module_id;
+        
+        if (targetModuleId !== lesson.module_id && lesson.target_product_id !== lesson.product_id) {
+            return res.status(400).json({ success: false, error: 'O módulo de destino não pertence ao mesmo produto' });
+        }
+        
+        const query = `
+            UPDATE product_lessons
+            SET title = ?, description = ?, video_url = ?, body = ?, module_id = ?,
+                position = CASE WHEN module_id = ? THEN position
+                                ELSE (SELECT COALESCE(MAX(position), -1) + 1 FROM product_lessons WHERE module_id = ?) END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        
+        db.run(query, [title, description || null, video_url || null, body || null, targetModuleId, targetModuleId, targetModuleId, lessonId], (err) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao atualizar aula');
+            }
+            
+            saveLessonAttachments(lessonId, normalizeAttachments(req.body.attachments), (err) => {
+                if (err) {
+                    return sendCourseError(res, err, 'Erro ao salvar anexos da aula');
+                }
+                
+                res.json({ success: true, message: 'Aula atualizada com sucesso!', timestamp: new Date().toISOString() });
+            });
+        });
+    });
+});
+
+app.delete('/api/admin/lessons/:id', requirePermission('products:write'), (req, res) => {
+    const lessonId = req.params.id;
+    
+    db.serialize(() => {
+        db.run('DELETE FROM lesson_attachments WHERE lesson_id = ?', [lessonId]);
+        db.run('DELETE FROM product_lessons WHERE id = ?', [lessonId], function(err) {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao excluir aula');
+            }
+            if (this.changes === 0) {
+                return res.status(404).json({ success: false, error: 'Aula não encontrada' });
+            }
+            
+            console.log(`🗑️ Aula excluída: ID ${lessonId}`);
+            res.json({ success: true, message: 'Aula excluída com sucesso!', timestamp: new Date().toISOString() });
+        });
+    });
+});
+
+// Aulas do produto para o membro: só com acesso ativo. Módulos com drip ainda bloqueados
+// voltam só com os títulos das aulas e a data de liberação.
+app.get('/api/user/products/:id/lessons', requireMemberSession, (req, res) => {
+    const productId = req.params.id;
+    const email = req.member.email;
+    
+    checkMediaAccess(email, productId, (err, access) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao verificar acesso');
+        }
+        
+        if (!access) {
+            console.log(`🔒 Aulas negadas: ${email} não tem acesso ao produto ${productId}`);
+            return res.status(403).json({ success: false, error: 'Você não tem acesso a este produto' });
+        }
+        
+        loadCourseTree(productId, (err, modules) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao buscar aulas');
+            }
+            
+            const tree = modules.map(module => {
+                const { release_after_days, release_at, ...data } = module;
+                const unlockAt = mediaUnlockAt(module, access.start);
+                
+                // undefined: liberação por dias sem compra para contar (produto gratuito) → continua bloqueado
+                if (unlockAt === null || (unlockAt && unlockAt.getTime() <= Date.now())) {
+                    // Vídeos e anexos só por links assinados
+                    const lessons = data.lessons.map(lesson => ({
+                        ...lesson,
+                        video_url: lesson.video_url ? signMediaUrl(email, Number(productId), 'lesson', lesson.id) : null,
+                        attachments: lesson.attachments.map(item => ({
+                            ...item,
+                            url: signMediaUrl(email, Number(productId), 'attachment', item.id)
+                        }))
+                    }));
+                    return { ...data, lessons, locked: false };
+                }
+                
+                return {
+                    ...data,
+                    locked: true,
+                    unlock_at: unlockAt ? unlockAt.toISOString() : null,
+                    lessons: data.lessons.map(lesson => ({ id: lesson.id, title: lesson.title, position: lesson.position, locked: true }))
+                };
+            });
+            
+            res.json({
+                success: true,
+                product_id: parseInt(productId, 10),
+                access: access.purchase
+                    ? { plan_code: access.purchase.plan_code, created_at: access.purchase.created_at, expires_at: access.purchase.expires_at }
+                    : { plan_code: null, created_at: null, expires_at: null, free: true },
+                modules: tree,
+                media_expires_at: new Date(Date.now() + MEDIA_URL_TTL_MINUTES * 60 * 1000).toISOString(),
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// =============================================================================
+// BIBLIOTECA DE MÍDIA - upload de banners, galeria, vídeos e anexos
+// =============================================================================
+
+// Tipos aceitos: extensão gravada, categoria (limite de tamanho) e assinatura dos primeiros bytes
+const MEDIA_TYPES = {
+    'image/jpeg': { ext: 'jpg', category: 'image', magic: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    'image/png': { ext: 'png', category: 'image', magic: (b) => b.toString('hex', 0, 4) === '89504e47' },
+    'image/gif': { ext: 'gif', category: 'image', magic: (b) => b.toString('ascii', 0, 4) === 'GIF8' },
+    'image/webp': { ext: 'webp', category: 'image', magic: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+    'video/mp4': { ext: 'mp4', category: 'video', magic: (b) => b.toString('ascii', 4, 8) === 'ftyp' },
+    'video/quicktime': { ext: 'mov', category: 'video', magic: (b) => b.toString('ascii', 4, 8) === 'ftyp' },
+    'video/webm': { ext: 'webm', category: 'video', magic: (b) => b.toString('hex', 0, 4) === '1a45dfa3' },
+    'application/pdf': { ext: 'pdf', category: 'document', magic: (b) => b.toString('ascii', 0, 4) === '%PDF' },
+    'application/zip': { ext: 'zip', category: 'document', magic: (b) => b.toString('hex', 0, 4) === '504b0304' },
+    'application/epub+zip': { ext: 'epub', category: 'document', magic: (b) => b.toString('hex', 0, 4) === '504b0304' }
+};
+
+// Para que o arquivo será usado → categorias permitidas
+const UPLOAD_KINDS = {
+    banner: ['image'],
+    gallery: ['image', 'video'],
+    video: ['video'],
+    attachment: ['document', 'image']
+};
+
+const mediaUpload = multer({
+    dest: UPLOAD_TMP_DIR,
+    limits: { fileSize: Math.max(...Object.values(UPLOAD_MAX_MB)) * 1024 * 1024, files: 1 }
+});
+
+function mediaPublicPath(filename) {
+    return `/uploads/${filename}`;
+}
+
+function formatMediaFile(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        original_name: row.original_name,
+        mime_type: row.mime_type,
+        size: row.size,
+        width: row.width,
+        height: row.height,
+        path: mediaPublicPath(row.filename),
+        url: `${APP_URL}${mediaPublicPath(row.filename)}`,
+        thumbnail_url: row.thumbnail ? `${APP_URL}${mediaPublicPath(`thumbs/${row.thumbnail}`)}` : null,
+        created_at: row.created_at,
+        references: row.references || []
+    };
+}
+
+function hashFile(filePath, callback) {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', callback)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => callback(null, hash.digest('hex')));
+}
+
+function readFileHead(filePath, callback) {
+    fs.open(filePath, 'r', (err, fd) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        const buffer = Buffer.alloc(16);
+        fs.read(fd, buffer, 0, buffer.length, 0, (err) => {
+            fs.close(fd, () => callback(err, buffer));
+        });
+    });
+}
+
+// Miniatura WebP para imagens; também confirma que a imagem é decodificável
+function createImageThumbnail(filePath, hash, callback) {
+    const sharp = require('sharp');
+    const thumbnail = `${hash}.webp`;
+    const image = sharp(filePath);
+    
+    image.metadata()
+        .then(metadata => image
+            .resize({ width: UPLOAD_THUMB_WIDTH, withoutEnlargement: true })
+            .webp({ quality: 75 })
+            .toFile(path.join(UPLOAD_THUMBS_DIR, thumbnail))
+            .then(() => callback(null, { thumbnail, width: metadata.width, height: metadata.height })))
+        .catch(callback);
+}
+
+// Valida tipo/tamanho/conteúdo, grava com nome pelo hash do conteúdo e registra na biblioteca.
+// Reenvio do mesmo arquivo devolve o registro existente (duplicate = true).
+function storeUploadedFile(file, kind, admin, callback) {
+    const type = MEDIA_TYPES[file.mimetype];
+    const reject = (message, statusCode = 400) => {
+        fs.unlink(file.path, () => {});
+        callback(Object.assign(new Error(message), { statusCode }));
+    };
+    
+    if (!type || !UPLOAD_KINDS[kind].includes(type.category)) {
+        return reject(`Tipo de arquivo não permitido para ${kind}: ${file.mimetype}`, 415);
+    }
+    
+    if (file.size > UPLOAD_MAX_MB[type.category] * 1024 * 1024) {
+        return reject(`Arquivo maior que o limite de ${UPLOAD_MAX_MB[type.category]} MB para ${type.category}`, 413);
+    }
+    
+    readFileHead(file.path, (err, head) => {
+        if (err || !type.magic(head)) {
+            return reject('O conteúdo do arquivo não corresponde ao tipo informado', 415);
+        }
+        
+        hashFile(file.path, (err, hash) => {
+            if (err) {
+                return reject('Erro ao ler o arquivo enviado', 500);
+            }
+            
+            const filename = `${hash}.${type.ext}`;
+            
+            db.get('SELECT * FROM media_files WHERE filename = ?', [filename], (err, existing) => {
+                if (err) {
+                    return reject('Erro ao consultar a biblioteca', 500);
+                }
+                
+                if (existing) {
+                    fs.unlink(file.path, () => {});
+                    return callback(null, existing, true);
+                }
+                
+                const finalPath = path.join('uploads', filename);
+                
+                fs.rename(file.path, finalPath, (err) => {
+                    if (err) {
+                        return reject('Erro ao salvar o arquivo', 500);
+                    }
                     
-                    product.gallery = items.map(item => {
-                        try {
-                            return JSON.parse(item);
-                        } catch (e) {
-                            console.error('Erro ao fazer parse do item:', item);
-                            return null;
-                        }
-                    }).filter(item => item !== null);
+                    const saveRecord = (image) => {
+                        db.run(`
+                            INSERT INTO media_files (filename, original_name, kind, mime_type, size, width, height, thumbnail, uploaded_by)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        `, [filename, file.originalname, kind, file.mimetype, file.size,
+                            image.width || null, image.height || null, image.thumbnail || null, admin.id], function(err) {
+                            if (err) {
+                                return callback(err);
+                            }
+                            
+                            db.get('SELECT * FROM media_files WHERE id = ?', [this.lastID], (err, row) => callback(err, row, false));
+                        });
+                    };
                     
-                } catch (e) {
-                    console.error('❌ Erro ao processar galeria:', e);
-                    product.gallery = [];
-                }
-            } else {
-                product.gallery = [];
+                    if (type.category !== 'image') {
+                        return saveRecord({});
+                    }
+                    
+                    createImageThumbnail(finalPath, hash, (err, image) => {
+                        if (err) {
+                            fs.unlink(finalPath, () => {});
+                            return callback(Object.assign(new Error('Imagem inválida ou corrompida'), { statusCode: 415 }));
+                        }
+                        saveRecord(image);
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Produtos que usam o arquivo (campos do produto, galeria, aulas e anexos)
+function findMediaReferences(filename, callback) {
+    const pattern = `%${mediaPublicPath(filename)}`;
+    const query = `
+        SELECT id, name, 'produto' as field FROM products
+        WHERE banner_url LIKE ? OR main_video LIKE ? OR preview_video LIKE ? OR access_url LIKE ?
+        UNION
+        SELECT p.id, p.name, 'galeria' FROM product_media pm JOIN products p ON p.id = pm.product_id WHERE pm.url LIKE ?
+        UNION
+        SELECT p.id, p.name, 'aula' FROM product_lessons l
+        JOIN product_modules m ON m.id = l.module_id JOIN products p ON p.id = m.product_id
+        WHERE l.video_url LIKE ?
+        UNION
+        SELECT p.id, p.name, 'anexo' FROM lesson_attachments a
+        JOIN product_lessons l ON l.id = a.lesson_id JOIN product_modules m ON m.id = l.module_id JOIN products p ON p.id = m.product_id
+        WHERE a.url LIKE ?
+        UNION
+        SELECT p.id, p.name, 'download' FROM product_downloads d JOIN products p ON p.id = d.product_id WHERE d.url LIKE ?
+    `;
+    
+    db.all(query, [pattern, pattern, pattern, pattern, pattern, pattern, pattern, pattern], callback);
+}
+
+// Apaga o registro da biblioteca, o arquivo e a miniatura
+function removeMediaFile(row, callback) {
+    db.run('DELETE FROM media_files WHERE id = ?', [row.id], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        fs.unlink(path.join('uploads', row.filename), () => {});
+        if (row.thumbnail) {
+            fs.unlink(path.join(UPLOAD_THUMBS_DIR, row.thumbnail), () => {});
+        }
+        callback(null);
+    });
+}
+
+// Upload (multipart, campo "file"); ?kind=banner|gallery|video|attachment
+app.post('/api/admin/media', requirePermission('products:write'), (req, res) => {
+    const kind = req.query.kind || 'gallery';
+    
+    if (!UPLOAD_KINDS[kind]) {
+        return res.status(400).json({ success: false, error: `kind inválido. Use: ${Object.keys(UPLOAD_KINDS).join(', ')}` });
+    }
+    
+    mediaUpload.single('file')(req, res, (err) => {
+        if (err) {
+            const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge ? 'Arquivo maior que o limite permitido' : `Upload inválido: ${err.message}`
+            });
+        }
+        
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: 'Envie o arquivo no campo "file" (multipart/form-data)' });
+        }
+        
+        storeUploadedFile(req.file, kind, req.admin, (err, row, duplicate) => {
+            if (err) {
+                console.error('❌ Upload recusado:', err.message);
+                return res.status(err.statusCode || 500).json({ success: false, error: err.statusCode ? err.message : 'Erro ao salvar upload' });
             }
             
-            delete product.gallery_json;
-            return product;
+            console.log(`📤 Upload ${duplicate ? 'já existente' : 'salvo'}: ${row.filename} (${row.original_name}) por ${req.admin.username}`);
+            res.status(duplicate ? 200 : 201).json({
+                success: true,
+                duplicate,
+                media: formatMediaFile(row),
+                timestamp: new Date().toISOString()
+            });
+        });
+    });
+});
+
+// Biblioteca com os produtos que usam cada arquivo (?kind=)
+app.get('/api/admin/media', requireAdmin, (req, res) => {
+    const params = [];
+    let query = 'SELECT * FROM media_files';
+    
+    if (req.query.kind) {
+        query += ' WHERE kind = ?';
+        params.push(req.query.kind);
+    }
+    query += ' ORDER BY created_at DESC, id DESC LIMIT 500';
+    
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        
+        let pending = rows.length;
+        if (pending === 0) {
+            return res.json({ success: true, media: [], limits_mb: UPLOAD_MAX_MB, timestamp: new Date().toISOString() });
+        }
+        
+        rows.forEach(row => {
+            findMediaReferences(row.filename, (err, references) => {
+                row.references = references || [];
+                
+                if (--pending === 0) {
+                    res.json({ success: true, media: rows.map(formatMediaFile), limits_mb: UPLOAD_MAX_MB, timestamp: new Date().toISOString() });
+                }
+            });
         });
+    });
+});
+
+// Remove o arquivo (e a miniatura) se nenhum produto o usa
+app.delete('/api/admin/media/:id', requirePermission('products:write'), (req, res) => {
+    db.get('SELECT * FROM media_files WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Arquivo não encontrado' });
+        }
         
-        console.log(`📦 Retornando ${products.length} produtos atualizados`);
-        res.json({ 
-            success: true, 
-            products,
-            timestamp: new Date().toISOString(),
-            cache_buster: Date.now()
+        findMediaReferences(row.filename, (err, references) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: err.message });
+            }
+            
+            if (references.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Arquivo em uso por: ${[...new Set(references.map(ref => ref.name))].join(', ')}`,
+                    references
+                });
+            }
+            
+            removeMediaFile(row, (err) => {
+                if (err) {
+                    return res.status(500).json({ success: false, error: err.message });
+                }
+                
+                console.log(`🗑️ Mídia removida: ${row.filename} por ${req.admin.username}`);
+                res.json({ success: true, message: 'Arquivo removido', timestamp: new Date().toISOString() });
+            });
         });
     });
 });
 
-app.get('/api/products/:id', (req, res) => {
-    const productId = req.params.id;
+// =============================================================================
+// LIXEIRA - restauração e limpeza definitiva dos produtos excluídos
+// =============================================================================
+
+// Arquivos da biblioteca (uploads/) usados pelo produto, em qualquer campo
+function findProductUploads(productId, callback) {
+    const query = `
+        SELECT banner_url as url FROM products WHERE id = ?
+        UNION SELECT main_video FROM products WHERE id = ?
+        UNION SELECT preview_video FROM products WHERE id = ?
+        UNION SELECT access_url FROM products WHERE id = ?
+        UNION SELECT url FROM product_media WHERE product_id = ?
+        UNION SELECT l.video_url FROM product_lessons l JOIN product_modules m ON m.id = l.module_id WHERE m.product_id = ?
+        UNION SELECT a.url FROM lesson_attachments a
+            JOIN product_lessons l ON l.id = a.lesson_id JOIN product_modules m ON m.id = l.module_id WHERE m.product_id = ?
+        UNION SELECT url FROM product_downloads WHERE product_id = ?
+    `;
     
-    db.get('SELECT * FROM products WHERE id = ?', [productId], (err, product) => {
+    db.all(query, Array(8).fill(productId), (err, rows) => {
         if (err) {
-            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+            return callback(err);
         }
         
-        if (!product) {
-            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        const filenames = rows
+            .map(row => String(row.url || '').match(/\/uploads\/([\w-][\w.-]*)$/))
+            .filter(Boolean)
+            .map(match => match[1]);
+        callback(null, [...new Set(filenames)]);
+    });
+}
+
+// Remove da biblioteca os arquivos que deixaram de ser usados por qualquer produto
+function removeOrphanUploads(filenames, callback) {
+    let removed = 0;
+    
+    const next = (index) => {
+        if (index >= filenames.length) {
+            return callback(removed);
         }
         
-        db.all('SELECT * FROM product_media WHERE product_id = ? ORDER BY order_index', [productId], (err, media) => {
+        db.get('SELECT * FROM media_files WHERE filename = ?', [filenames[index]], (err, row) => {
+            if (err || !row) {
+                return next(index + 1);
+            }
+            
+            findMediaReferences(row.filename, (err, references) => {
+                if (err || references.length > 0) {
+                    return next(index + 1);
+                }
+                
+                removeMediaFile(row, (err) => {
+                    if (!err) {
+                        removed++;
+                    }
+                    next(index + 1);
+                });
+            });
+        });
+    };
+    
+    next(0);
+}
+
+// Exclusão definitiva: produto, códigos, galeria, curso, downloads, progresso, revisões e uploads órfãos.
+// Os acessos (user_access) e o registro de downloads ficam: são histórico de vendas e rastreio de vazamentos.
+function purgeProduct(productId, callback) {
+    findProductUploads(productId, (err, filenames) => {
+        if (err) {
+            return callback(err);
+        }
+        
+        deleteCourseContent(productId, (err) => {
             if (err) {
-                return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
+                return callback(err);
             }
             
-            product.gallery = media;
-            res.json({ 
-                success: true, 
-                product,
-                timestamp: new Date().toISOString()
+            db.serialize(() => {
+                db.run('DELETE FROM product_media WHERE product_id = ?', [productId]);
+                db.run('DELETE FROM product_plans WHERE product_id = ?', [productId]);
+                db.run('DELETE FROM member_progress WHERE product_id = ?', [productId]);
+                db.run('DELETE FROM product_revisions WHERE product_id = ?', [productId]);
+                db.run('DELETE FROM products WHERE id = ? AND deleted_at IS NOT NULL', [productId], (err) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    
+                    removeOrphanUploads(filenames, (removed) => callback(null, { files_removed: removed }));
+                });
             });
         });
     });
-});
+}
 
-app.post('/api/products', (req, res) => {
-    const { 
-        name, 
-        description, 
-        banner_url,
-        main_video,
-        access_url, 
-        buy_url, 
-        price, 
-        category,
-        plano_1,
-        plano_2,
-        plano_3,
-        gallery
-    } = req.body;
-    
-    if (!name) {
-        return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
-    }
-    
+// Limpeza periódica dos itens na lixeira há mais de TRASH_RETENTION_DAYS dias
+function purgeExpiredTrash() {
     const query = `
-        INSERT INTO products (name, description, banner_url, main_video, access_url, buy_url, price, category, plano_1, plano_2, plano_3, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        SELECT id, name FROM products
+        WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)
+        ORDER BY deleted_at
     `;
     
-    db.run(query, [
-        name, 
-        description, 
-        banner_url || null,
-        main_video || null,
-        access_url || null,
-        buy_url || null,
-        parseFloat(price) || 0,
-        category || 'meus_produtos',
-        plano_1 || null,
-        plano_2 || null,
-        plano_3 || null
-    ], function(err) {
+    db.all(query, [`-${TRASH_RETENTION_DAYS} days`], (err, rows) => {
         if (err) {
-            console.error('❌ Erro ao criar produto:', err);
-            return res.status(500).json({ success: false, error: 'Erro ao criar produto' });
+            return console.error('❌ Erro na limpeza da lixeira:', err);
         }
         
-        const productId = this.lastID;
-        
-        if (gallery && gallery.length > 0) {
-            const insertMediaQuery = `
-                INSERT INTO product_media (product_id, type, url, order_index)
-                VALUES (?, ?, ?, ?)
-            `;
+        const next = (index) => {
+            if (index >= rows.length) {
+                if (rows.length > 0) {
+                    console.log(`🧹 Lixeira: ${rows.length} produto(s) removido(s) definitivamente`);
+                }
+                return;
+            }
             
-            gallery.forEach((item, index) => {
-                if (item.url && item.type) {
-                    db.run(insertMediaQuery, [productId, item.type, item.url, index], (err) => {
-                        if (err) {
-                            console.error('❌ Erro ao inserir mídia da galeria:', err);
-                        }
-                    });
+            purgeProduct(rows[index].id, (err) => {
+                if (err) {
+                    console.error(`❌ Erro ao remover da lixeira o produto ${rows[index].id}:`, err);
                 }
+                next(index + 1);
             });
+        };
+        
+        next(0);
+    });
+}
+
+app.get('/api/admin/trash', requirePermission('products:write'), (req, res) => {
+    const query = `
+        SELECT p.id, p.name, p.category, p.status, p.banner_url, p.deleted_at, p.deleted_by,
+               datetime(p.deleted_at, ?) as purge_at
+        FROM products p
+        WHERE p.deleted_at IS NOT NULL
+        ORDER BY p.deleted_at DESC, p.id DESC
+    `;
+    
+    db.all(query, [`+${TRASH_RETENTION_DAYS} days`], (err, products) => {
+        if (err) {
+            console.error('❌ Erro ao listar lixeira:', err);
+            return res.status(500).json({ success: false, error: 'Erro interno do servidor' });
         }
         
-        console.log(`✅ Produto criado: ${name} (ID: ${productId})`);
-        res.json({ 
-            success: true, 
-            productId: productId, 
-            message: 'Produto criado com sucesso!',
-            timestamp: new Date().toISOString()
-        });
+        res.json({ success: true, products, retention_days: TRASH_RETENTION_DAYS, timestamp: new Date().toISOString() });
     });
 });
 
-app.put('/api/products/:id', (req, res) => {
-    const productId = req.params.id;
-    const { 
-        name, 
-        description, 
-        banner_url,
-        main_video,
-        access_url, 
-        buy_url, 
-        price, 
-        category,
-        plano_1,
-        plano_2,
-        plano_3,
-        gallery
-    } = req.body;
-    
-    if (!name) {
-        return res.status(400).json({ success: false, error: 'Nome é obrigatório' });
-    }
-    
-    const updateQuery = `
-        UPDATE products 
-        SET name = ?, description = ?, banner_url = ?, main_video = ?, 
-            access_url = ?, buy_url = ?, price = ?, category = ?, 
-            plano_1 = ?, plano_2 = ?, plano_3 = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
+// Restaura no fim da prateleira (ou em "meus produtos" se a categoria foi removida nesse meio tempo)
+app.post('/api/admin/trash/:id/restore', requirePermission('products:write'), (req, res) => {
+    const query = `
+        SELECT p.id, p.name, COALESCE((SELECT c.slug FROM categories c WHERE c.slug = p.category), ?) as category
+        FROM products p WHERE p.id = ? AND p.deleted_at IS NOT NULL
     `;
     
-    db.run(updateQuery, [
-        name, 
-        description, 
-        banner_url || null,
-        main_video || null,
-        access_url || null,
-        buy_url || null,
-        parseFloat(price) || 0,
-        category || 'meus_produtos',
-        plano_1 || null,
-        plano_2 || null,
-        plano_3 || null,
-        productId
-    ], function(err) {
+    db.get(query, [MY_PRODUCTS_CATEGORY, req.params.id], (err, product) => {
         if (err) {
-            console.error('❌ Erro ao atualizar produto:', err);
-            return res.status(500).json({ success: false, error: 'Erro ao atualizar produto' });
+            return sendCourseError(res, err, 'Erro ao restaurar produto');
         }
-        
-        if (this.changes === 0) {
-            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Produto não está na lixeira' });
         }
         
-        db.run('DELETE FROM product_media WHERE product_id = ?', [productId], (err) => {
+        // Enquanto estava na lixeira o código pode ter passado para outro produto
+        const planQuery = 'SELECT plan_code FROM product_plans WHERE product_id = ? ORDER BY position';
+        
+        db.all(planQuery, [product.id], (err, plans) => {
             if (err) {
-                console.error('❌ Erro ao limpar galeria:', err);
+                return sendCourseError(res, err, 'Erro ao restaurar produto');
             }
             
-            if (gallery && gallery.length > 0) {
-                const insertMediaQuery = `
-                    INSERT INTO product_media (product_id, type, url, order_index)
-                    VALUES (?, ?, ?, ?)
+            findPlanCodeConflicts(plans.map(plan => plan.plan_code), product.id, (err, conflicts) => {
+                if (err) {
+                    return sendCourseError(res, err, 'Erro ao restaurar produto');
+                }
+                
+                const validation = { errors: {}, ...splitPlanConflicts(conflicts, req.body.shared_plans) };
+                if (!isValidProduct(validation)) {
+                    return sendProductValidationErrors(res, validation);
+                }
+                
+                const restoreQuery = `
+                    UPDATE products
+                    SET deleted_at = NULL, deleted_by = NULL, category = ?, updated_at = CURRENT_TIMESTAMP,
+                        position = (SELECT COALESCE(MAX(position), -1) + 1 FROM products WHERE category = ? AND deleted_at IS NULL)
+                    WHERE id = ?
                 `;
                 
-                gallery.forEach((item, index) => {
-                    if (item.url && item.type) {
-                        db.run(insertMediaQuery, [productId, item.type, item.url, index], (err) => {
-                            if (err) {
-                                console.error('❌ Erro ao inserir mídia da galeria:', err);
-                            }
-                        });
+                const statements = [
+                    [restoreQuery, [product.category, product.category, product.id]],
+                    ...sharedPlanStatements(validation.sharedPlans, req.admin)
+                ];
+                
+                runTransaction(statements, (err) => {
+                    if (err) {
+                        return sendCourseError(res, err, 'Erro ao restaurar produto');
                     }
+                    
+                    console.log(`♻️ Produto restaurado da lixeira: ${product.name} (ID: ${product.id}) por ${req.admin.username}`);
+                    res.json({ success: true, message: 'Produto restaurado!', category: product.category, timestamp: new Date().toISOString() });
                 });
-            }
-            
-            console.log(`✅ Produto atualizado: ${name} (ID: ${productId})`);
-            res.json({ 
-                success: true, 
-                message: 'Produto atualizado com sucesso!',
-                timestamp: new Date().toISOString()
             });
         });
     });
 });
 
-app.delete('/api/products/:id', (req, res) => {
-    const productId = req.params.id;
-    
-    db.run('DELETE FROM products WHERE id = ?', [productId], function(err) {
+// Remove definitivamente antes do prazo
+app.delete('/api/admin/trash/:id', requirePermission('products:write'), (req, res) => {
+    db.get('SELECT id, name FROM products WHERE id = ? AND deleted_at IS NOT NULL', [req.params.id], (err, product) => {
         if (err) {
-            console.error('❌ Erro ao deletar produto:', err);
-            return res.status(500).json({ success: false, error: 'Erro ao deletar produto' });
+            return sendCourseError(res, err, 'Erro ao remover produto');
         }
-        
-        if (this.changes === 0) {
-            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Produto não está na lixeira' });
         }
         
-        console.log(`✅ Produto deletado: ID ${productId}`);
-        res.json({ 
-            success: true, 
-            message: 'Produto deletado com sucesso!',
-            timestamp: new Date().toISOString()
+        purgeProduct(product.id, (err, result) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao remover produto');
+            }
+            
+            console.log(`🔥 Produto removido definitivamente: ${product.name} (ID: ${product.id}) por ${req.admin.username}`);
+            res.json({ success: true, message: 'Produto removido definitivamente', ...result, timestamp: new Date().toISOString() });
         });
     });
 });
 
-// ENDPOINT PRINCIPAL - Buscar produtos que o usuário tem acesso (CORRIGIDO)
-app.post('/api/user/products', (req, res) => {
-    const { email } = req.body;
+// =============================================================================
+// DOWNLOADS COM MARCA D'ÁGUA - PDFs carimbados com o comprador a cada download
+// =============================================================================
+
+// Texto impresso no PDF: a fonte padrão (WinAnsi) não tem todos os caracteres
+function pdfSafeText(value) {
+    return String(value).replace(/[^\x20-\x7E]/g, '?');
+}
+
+// Carimba todas as páginas: rodapé legível + texto diagonal discreto no centro
+function watermarkPdf(bytes, stamp, callback) {
+    const footer = pdfSafeText(`Licenciado para ${stamp.email} - Compra ${stamp.paymentId} - ${stamp.date} - Cod. ${stamp.fingerprint}`);
+    const diagonal = pdfSafeText(stamp.email);
     
-    console.log(`\n🔍 ===== BUSCANDO PRODUTOS DO USUÁRIO =====`);
-    console.log(`📧 Email: ${email}`);
-    console.log(`⏰ Hora: ${new Date().toLocaleTimeString()}`);
+    PDFDocument.load(bytes, { ignoreEncryption: true })
+        .then(pdf => pdf.embedFont(StandardFonts.Helvetica).then(font => {
+            pdf.getPages().forEach(page => {
+                const { width, height } = page.getSize();
+                const size = Math.max(18, Math.min(width, height) / 14);
+                
+                page.drawText(footer, { x: 20, y: 12, size: 7, font, color: rgb(0.4, 0.4, 0.4) });
+                page.drawText(diagonal, {
+                    x: width / 2 - font.widthOfTextAtSize(diagonal, size) / 2 * Math.SQRT1_2,
+                    y: height / 2 - font.widthOfTextAtSize(diagonal, size) / 2 * Math.SQRT1_2,
+                    size,
+                    font,
+                    color: rgb(0.6, 0.6, 0.6),
+                    opacity: 0.18,
+                    rotate: degrees(45)
+                });
+            });
+            
+            pdf.setSubject(footer);
+            pdf.setKeywords([`download:${stamp.fingerprint}`]);
+            return pdf.save();
+        }))
+        .then(output => callback(null, Buffer.from(output)))
+        .catch(callback);
+}
+
+// Conteúdo original do PDF (arquivo em /uploads ou URL externa, com o mesmo limite do upload de documentos)
+function readDownloadSource(url, callback) {
+    const localPath = localUploadPath(url);
+    const maxBytes = UPLOAD_MAX_MB.document * 1024 * 1024;
     
-    if (!email) {
-        console.log('❌ Email não fornecido');
-        return res.json({ 
-            success: true, 
-            products: [],
-            userProducts: [],
-            message: 'Email é obrigatório'
-        });
+    if (localPath) {
+        return fs.readFile(localPath, callback);
     }
     
-    // Buscar TODOS os acessos ativos do usuário
-    const accessQuery = `
-        SELECT DISTINCT plan_code, plan_name, created_at 
-        FROM user_access 
-        WHERE email = ? AND status = 'active'
-        ORDER BY created_at DESC
-    `;
+    if (!/^https?:\/\//i.test(url)) {
+        return callback(Object.assign(new Error('Arquivo não encontrado'), { statusCode: 404 }));
+    }
     
-    db.all(accessQuery, [email], (err, userAccess) => {
-        if (err) {
-            console.error('❌ Erro ao buscar acessos:', err);
-            return res.status(500).json({ 
-                success: false, 
-                error: 'Erro ao buscar acessos'
-            });
-        }
-        
-        console.log(`📊 Acessos encontrados: ${userAccess.length}`);
-        if (userAccess.length > 0) {
-            console.log('📋 Planos liberados:', userAccess.map(a => a.plan_code).join(', '));
-        }
-        
-        // Buscar TODOS os produtos para exibir
-        const allProductsQuery = `
-            SELECT p.*, 
-                   GROUP_CONCAT(
-                       json_object('type', pm.type, 'url', pm.url, 'order_index', pm.order_index)
-                       ORDER BY pm.order_index
-                   ) as gallery_json
-            FROM products p 
-            LEFT JOIN product_media pm ON p.id = pm.product_id 
-            GROUP BY p.id 
-            ORDER BY p.updated_at DESC, p.created_at DESC
-        `;
-        
-        db.all(allProductsQuery, [], (err, allProducts) => {
-            if (err) {
-                console.error('❌ Erro ao buscar produtos:', err);
-                return res.status(500).json({ 
-                    success: false, 
-                    error: 'Erro ao buscar produtos'
-                });
-            }
-            
-            // Array para armazenar produtos que vão para "MEUS PRODUTOS"
-            const userProducts = [];
-            
-            // Processar cada produto
-            const processedProducts = allProducts.map(row => {
-                const product = { ...row };
-                
-                // Parse gallery JSON - CORREÇÃO DEFINITIVA
-if (product.gallery_json) {
-    try {
-        // Remove o GROUP_CONCAT wrapper e faz parse individual
-        const galleryString = product.gallery_json;
-        const items = galleryString.split('},{').map((item, index, arr) => {
-            if (index === 0 && arr.length > 1) {
-                return item + '}';
-            } else if (index === arr.length - 1 && arr.length > 1) {
-                return '{' + item;
-            } else if (arr.length > 1) {
-                return '{' + item + '}';
+    fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw Object.assign(new Error(`Origem do arquivo respondeu ${response.status}`), { statusCode: 502 });
             }
-            return item;
-        });
-        
-        product.gallery = items.map(item => {
-            try {
-                return JSON.parse(item);
-            } catch (e) {
-                console.error('Erro ao fazer parse do item:', item);
-                return null;
+            if (parseInt(response.headers.get('content-length'), 10) > maxBytes) {
+                throw Object.assign(new Error('Arquivo maior que o limite de documentos'), { statusCode: 413 });
             }
-        }).filter(item => item !== null);
-        
-    } catch (e) {
-        console.error('❌ Erro ao processar galeria:', e);
-        product.gallery = [];
+            return response.arrayBuffer();
+        })
+        .then(buffer => callback(null, Buffer.from(buffer)))
+        .catch(err => callback(err.statusCode ? err : Object.assign(err, { statusCode: 502 })));
+}
+
+function signDownloadUrl(email, productId, downloadId) {
+    const token = signToken({ typ: 'download', e: email, p: productId, i: downloadId }, MEDIA_URL_TTL_MINUTES * 60);
+    return `/media/download/${token}`;
+}
+
+function validateDownloadPayload(body) {
+    const title = String(body.title || '').trim();
+    const url = String(body.url || '').trim();
+    
+    if (!title || !url) {
+        return { error: 'Título e arquivo (URL) são obrigatórios' };
     }
-} else {
-    product.gallery = [];
+    if (!localUploadPath(url) && !/^https?:\/\//i.test(url)) {
+        return { error: 'URL do arquivo inválida' };
+    }
+    return { title, url };
 }
-delete product.gallery_json;
-                
-                // LÓGICA PRINCIPAL: Verificar se usuário tem acesso
-                let hasUserAccess = false;
-                let accessPlan = null;
-                
-                // Verificar se algum dos planos do produto corresponde aos acessos do usuário
-                if (userAccess.length > 0) {
-                    const userPlanCodes = userAccess.map(a => a.plan_code);
-                    
-                    // Verificar cada plano do produto
-                    if (product.plano_1 && userPlanCodes.includes(product.plano_1)) {
-                        hasUserAccess = true;
-                        accessPlan = product.plano_1;
-                    } else if (product.plano_2 && userPlanCodes.includes(product.plano_2)) {
-                        hasUserAccess = true;
-                        accessPlan = product.plano_2;
-                    } else if (product.plano_3 && userPlanCodes.includes(product.plano_3)) {
-                        hasUserAccess = true;
-                        accessPlan = product.plano_3;
-                    }
-                }
-                
-                // Adicionar flags de acesso
-                product.userHasAccess = hasUserAccess;
-                product.accessPlan = accessPlan;
-                
-                // Se usuário tem acesso, adicionar à lista de userProducts
-                if (hasUserAccess) {
-                    userProducts.push({
-                        ...product,
-                        originalCategory: product.category,
-                        category: 'meus_produtos' // Forçar para meus_produtos
-                    });
-                    
-                    console.log(`✅ Produto liberado: ${product.name} (Plano: ${accessPlan})`);
-                }
-                
-                return product;
-            });
-            
-            console.log(`\n📊 RESUMO:`);
-            console.log(`- Total de produtos: ${processedProducts.length}`);
-            console.log(`- Produtos liberados para o usuário: ${userProducts.length}`);
-            console.log(`- Email: ${email}`);
-            console.log('==========================================\n');
-            
-            // Retornar TODOS os produtos + lista de produtos do usuário
-            res.json({ 
-                success: true, 
-                products: processedProducts,
-                userProducts: userProducts, // Produtos que vão para "MEUS PRODUTOS"
-                totalProducts: processedProducts.length,
-                userAccessCount: userProducts.length,
-                userEmail: email,
-                activePlans: userAccess.map(a => a.plan_code),
-                timestamp: new Date().toISOString()
-            });
-        });
+
+app.get('/api/admin/products/:id/downloads', requireAdmin, (req, res) => {
+    db.all('SELECT * FROM product_downloads WHERE product_id = ? ORDER BY position, id', [req.params.id], (err, downloads) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao buscar downloads');
+        }
+        
+        res.json({ success: true, downloads, timestamp: new Date().toISOString() });
     });
 });
 
-// PERFECTPAY WEBHOOK
-app.post('/webhook/perfectpay', express.json(), (req, res) => {
-    console.log('\n🔔 ===== WEBHOOK PERFECTPAY RECEBIDO =====');
-    console.log('⏰ Timestamp:', new Date().toLocaleString('pt-BR'));
-    console.log('📦 Body completo:', JSON.stringify(req.body, null, 2));
+app.post('/api/admin/products/:id/downloads', requirePermission('products:write'), (req, res) => {
+    const productId = req.params.id;
+    const payload = validateDownloadPayload(req.body);
     
-    try {
-        const payload = req.body;
-        
-        const {
-            sale_status_enum_key,
-            customer,
-            product,
-            plan,
-            code: sale_code,
-            sale_amount
-        } = payload;
-        
-        console.log('\n📊 DADOS EXTRAÍDOS:');
-        console.log('- Status:', sale_status_enum_key);
-        console.log('- Email do cliente:', customer?.email);
-        console.log('- Código do plano:', plan?.code);
-        console.log('- Nome do plano:', plan?.name);
-        console.log('- Valor da venda:', sale_amount);
-        
-        if (sale_status_enum_key !== 'approved') {
-            console.log(`❌ Status não aprovado: ${sale_status_enum_key}`);
-            console.log('============================================\n');
-            return res.json({ success: true, message: 'Status não processado' });
-        }
-        
-        const email = customer?.email;
-        const plan_code = plan?.code;
-        const plan_name = plan?.name;
-        
-        if (!email || !plan_code) {
-            console.log('❌ Dados obrigatórios faltando!');
-            console.log('- Email recebido:', email);
-            console.log('- Plan code recebido:', plan_code);
-            console.log('- Payload completo:', JSON.stringify(payload, null, 2));
-            console.log('============================================\n');
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Email e código do plano são obrigatórios',
-                received: { email, plan_code }
-            });
+    if (payload.error) {
+        return res.status(400).json({ success: false, error: payload.error });
+    }
+    
+    db.get('SELECT id FROM products WHERE id = ?', [productId], (err, product) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao criar download');
+        }
+        if (!product) {
+            return res.status(404).json({ success: false, error: 'Produto não encontrado' });
         }
         
-        // Verificar se algum produto tem esse plano configurado
-        console.log('\n🔍 BUSCANDO PRODUTO COM PLANO:', plan_code);
         const query = `
-            SELECT * FROM products 
-            WHERE plano_1 = ? OR plano_2 = ? OR plano_3 = ?
-            LIMIT 1
+            INSERT INTO product_downloads (product_id, title, url, position)
+            VALUES (?, ?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM product_downloads WHERE product_id = ?))
         `;
         
-        db.get(query, [plan_code, plan_code, plan_code], (err, product_row) => {
+        db.run(query, [productId, payload.title, payload.url, productId], function(err) {
             if (err) {
-                console.error('❌ Erro ao buscar produto:', err);
-                console.log('============================================\n');
-                return res.status(500).json({ success: false, error: 'Erro interno' });
+                return sendCourseError(res, err, 'Erro ao criar download');
             }
             
-            console.log('📦 Produto encontrado:', product_row ? 'SIM' : 'NÃO');
-            const product_code = product_row?.id || plan_code;
-            
-            // Verificar se já existe acesso para este email/plano
-            const checkQuery = `
-                SELECT * FROM user_access 
-                WHERE email = ? AND plan_code = ? AND status = 'active'
-                ORDER BY created_at DESC
-                LIMIT 1
-            `;
-            
-            db.get(checkQuery, [email, plan_code], (err, existing) => {
-                if (err) {
-                    console.error('❌ Erro ao verificar acesso existente:', err);
-                }
-                
-                if (existing) {
-                    console.log('⚠️ Acesso já existe para este email/plano');
-                    console.log('============================================\n');
-                    return res.json({ 
-                        success: true, 
-                        message: 'Acesso já existente',
-                        access_id: existing.id,
-                        timestamp: new Date().toISOString()
-                    });
-                }
-                
-                // Liberar acesso
-                console.log('\n🔓 LIBERANDO ACESSO...');
-                const insertQuery = `
-                    INSERT INTO user_access 
-                    (email, product_code, plan_code, plan_name, sale_amount, payment_id, status, updated_at)
-                    VALUES (?, ?, ?, ?, ?, ?, 'active', CURRENT_TIMESTAMP)
-                `;
-                
-                db.run(insertQuery, [
-                    email,
-                    product_code,
-                    plan_code,
-                    plan_name,
-                    sale_amount,
-                    sale_code
-                ], function(err) {
-                    if (err) {
-                        console.error('❌ Erro ao liberar acesso:', err);
-                        console.log('============================================\n');
-                        return res.status(500).json({ success: false, error: 'Erro interno' });
-                    }
-                    
-                    console.log(`✅ SUCESSO! Acesso liberado:`);
-                    console.log(`- ID do acesso: ${this.lastID}`);
-                    console.log(`- Email: ${email}`);
-                    console.log(`- Plano: ${plan_code} (${plan_name})`);
-                    console.log('============================================\n');
-                    
-                    res.json({ 
-                        success: true, 
-                        message: 'Acesso liberado com sucesso',
-                        access_id: this.lastID,
-                        plan: plan_name,
-                        email: email,
-                        plan_code: plan_code,
-                        timestamp: new Date().toISOString()
-                    });
-                });
-            });
+            console.log(`✅ Download criado: ${payload.title} (produto ${productId})`);
+            res.json({ success: true, download_id: this.lastID, message: 'Download criado com sucesso!', timestamp: new Date().toISOString() });
         });
+    });
+});
+
+app.put('/api/admin/products/:id/downloads/order', requirePermission('products:write'), (req, res) => {
+    reorderRows('product_downloads', 'product_id', req.params.id, req.body.order, (err, changes) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao reordenar downloads');
+        }
         
-    } catch (error) {
-        console.error('❌ ERRO CRÍTICO no webhook:', error);
-        console.log('============================================\n');
-        res.status(400).json({ success: false, error: 'Dados inválidos' });
-    }
+        res.json({ success: true, updated: changes, timestamp: new Date().toISOString() });
+    });
 });
 
-// VERIFICAÇÃO DE ACESSO
-app.post('/api/check-access', (req, res) => {
-    const { email, plano_code } = req.body;
+app.put('/api/admin/downloads/:id', requirePermission('products:write'), (req, res) => {
+    const payload = validateDownloadPayload(req.body);
     
-    console.log(`🔍 Verificando acesso: ${email} → ${plano_code} (${new Date().toLocaleTimeString()})`);
+    if (payload.error) {
+        return res.status(400).json({ success: false, error: payload.error });
+    }
+    
+    db.run('UPDATE product_downloads SET title = ?, url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [payload.title, payload.url, req.params.id], function(err) {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao atualizar download');
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Download não encontrado' });
+        }
+        
+        res.json({ success: true, message: 'Download atualizado com sucesso!', timestamp: new Date().toISOString() });
+    });
+});
+
+// O registro de downloads é mantido para rastrear cópias já entregues
+app.delete('/api/admin/downloads/:id', requirePermission('products:write'), (req, res) => {
+    db.run('DELETE FROM product_downloads WHERE id = ?', [req.params.id], function(err) {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao excluir download');
+        }
+        if (this.changes === 0) {
+            return res.status(404).json({ success: false, error: 'Download não encontrado' });
+        }
+        
+        res.json({ success: true, message: 'Download excluído com sucesso!', timestamp: new Date().toISOString() });
+    });
+});
+
+// Rastreio de vazamento: por email, produto ou código impresso no rodapé do PDF
+app.get('/api/admin/download-log', requirePermission('access:read'), (req, res) => {
+    const conditions = [];
+    const params = [];
     
-    if (!email || !plano_code) {
-        return res.status(400).json({ success: false, error: 'Email e código do plano são obrigatórios' });
+    if (req.query.email) {
+        conditions.push('LOWER(l.email) LIKE ?');
+        params.push(`%${normalizeEmail(req.query.email)}%`);
+    }
+    if (req.query.fingerprint) {
+        conditions.push('l.fingerprint = ?');
+        params.push(String(req.query.fingerprint).trim().toLowerCase());
+    }
+    if (req.query.product_id) {
+        conditions.push('l.product_id = ?');
+        params.push(req.query.product_id);
     }
     
     const query = `
-        SELECT ua.*, p.name as product_name 
-        FROM user_access ua
-        LEFT JOIN products p ON (p.plano_1 = ua.plan_code OR p.plano_2 = ua.plan_code OR p.plano_3 = ua.plan_code)
-        WHERE ua.email = ? AND ua.plan_code = ?
-        AND ua.status = 'active'
-        ORDER BY ua.updated_at DESC, ua.created_at DESC
-        LIMIT 1
+        SELECT l.*, d.title as download_title, p.name as product_name
+        FROM download_log l
+        LEFT JOIN product_downloads d ON d.id = l.download_id
+        LEFT JOIN products p ON p.id = l.product_id
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY l.created_at DESC, l.id DESC
+        LIMIT 200
     `;
     
-    db.get(query, [email, plano_code], (err, row) => {
+    db.all(query, params, (err, entries) => {
         if (err) {
-            console.error('❌ Erro ao verificar acesso:', err);
-            return res.status(500).json({ success: false, error: 'Erro interno' });
+            return sendCourseError(res, err, 'Erro ao buscar registro de downloads');
         }
         
-        if (row) {
-            console.log(`✅ ACESSO LIBERADO para ${email} no plano ${plano_code}`);
-            res.json({ 
-                success: true, 
-                hasAccess: true, 
-                access: row,
-                message: `Acesso liberado - Plano: ${row.plan_name || plano_code}`,
-                timestamp: new Date().toISOString()
-            });
-        } else {
-            console.log(`❌ ACESSO NEGADO para ${email} no plano ${plano_code}`);
-            res.json({ 
-                success: true, 
-                hasAccess: false, 
-                message: 'Acesso negado - Plano não adquirido',
-                timestamp: new Date().toISOString()
-            });
-        }
+        res.json({ success: true, entries, timestamp: new Date().toISOString() });
     });
 });
-// ADICIONAR ESTE CÓDIGO NO SEU server.js (após o webhook do PerfectPay)
-
-// =============================================================================
-// WEBHOOK KIRVANO - IMPLEMENTAÇÃO COMPLETA
-// =============================================================================
 
-app.post('/webhook/kirvano', express.json(), (req, res) => {
-    console.log('\n🔔 ===== WEBHOOK KIRVANO RECEBIDO =====');
-    console.log('⏰ Timestamp:', new Date().toLocaleString('pt-BR'));
-    console.log('📦 Body completo:', JSON.stringify(req.body, null, 2));
+// Lista de downloads do membro com links assinados (só para quem comprou)
+app.get('/api/user/products/:id/downloads', requireMemberSession, (req, res) => {
+    const productId = parseInt(req.params.id, 10);
+    const email = req.member.email;
     
-    try {
-        const payload = req.body;
-        
-        const {
-            event,
-            status,
-            customer,
-            products,
-            total_price,
-            sale_id,
-            checkout_id
-        } = payload;
-        
-        console.log('\n📊 DADOS EXTRAÍDOS:');
-        console.log('- Evento:', event);
-        console.log('- Status:', status);
-        console.log('- Email do cliente:', customer?.email);
-        console.log('- Produtos:', products?.length || 0);
-        console.log('- Valor da venda:', total_price);
-        console.log('- ID da venda:', sale_id);
-        
-        // Verificar se é uma venda aprovada
-        if (event !== 'SALE_APPROVED' || status !== 'APPROVED') {
-            console.log(`❌ Status não aprovado: ${event} / ${status}`);
-            console.log('============================================\n');
-            return res.json({ success: true, message: 'Status não processado' });
-        }
-        
-        const email = customer?.email;
-        
-        if (!email) {
-            console.log('❌ Email do cliente não encontrado!');
-            console.log('- Customer recebido:', customer);
-            console.log('============================================\n');
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Email do cliente é obrigatório',
-                received: { email, customer }
-            });
+    checkMediaAccess(email, productId, (err, access) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao verificar acesso');
+        }
+        if (!access) {
+            return res.status(403).json({ success: false, error: 'Você não tem acesso a este produto' });
         }
         
-        if (!products || !Array.isArray(products) || products.length === 0) {
-            console.log('❌ Nenhum produto encontrado na venda!');
-            console.log('- Products recebidos:', products);
-            console.log('============================================\n');
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Lista de produtos é obrigatória',
-                received: { products }
+        db.all('SELECT id, title FROM product_downloads WHERE product_id = ? ORDER BY position, id', [productId], (err, downloads) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao buscar downloads');
+            }
+            
+            res.json({
+                success: true,
+                downloads: downloads.map(item => ({ ...item, url: signDownloadUrl(email, productId, item.id) })),
+                media_expires_at: new Date(Date.now() + MEDIA_URL_TTL_MINUTES * 60 * 1000).toISOString(),
+                timestamp: new Date().toISOString()
             });
+        });
+    });
+});
+
+app.get('/media/download/:token', (req, res) => {
+    const payload = verifyToken(req.params.token, 'download');
+    
+    if (!payload) {
+        return res.status(403).json({ success: false, error: 'Link de download inválido ou expirado', code: 'MEDIA_LINK_INVALID' });
+    }
+    
+    checkMediaAccess(payload.e, payload.p, (err, access) => {
+        if (err) {
+            return sendCourseError(res, err, 'Erro ao verificar acesso');
+        }
+        if (!access) {
+            console.log(`🔒 Download negado: ${payload.e} sem acesso ao produto ${payload.p}`);
+            return res.status(403).json({ success: false, error: 'Você não tem acesso a este conteúdo' });
         }
         
-        console.log(`\n🛒 PROCESSANDO ${products.length} PRODUTO(S):`);
-        
-        // Processar cada produto comprado
-        let accessesGranted = 0;
-        let processedProducts = [];
-        
-        const processProduct = (productIndex) => {
-            if (productIndex >= products.length) {
-                // Todos os produtos foram processados
-                console.log(`\n✅ KIRVANO PROCESSADO COM SUCESSO:`);
-                console.log(`- Email: ${email}`);
-                console.log(`- Produtos processados: ${processedProducts.length}`);
-                console.log(`- Acessos liberados: ${accessesGranted}`);
-                console.log(`- ID da venda: ${sale_id}`);
-                console.log('============================================\n');
-                
-                return res.json({ 
-                    success: true, 
-                    message: 'Webhook Kirvano processado com sucesso',
-                    email: email,
-                    products_processed: processedProducts.length,
-                    accesses_granted: accessesGranted,
-                    sale_id: sale_id,
-                    timestamp: new Date().toISOString()
-                });
+        db.get('SELECT * FROM product_downloads WHERE id = ? AND product_id = ?', [payload.i, payload.p], (err, download) => {
+            if (err) {
+                return sendCourseError(res, err, 'Erro ao buscar download');
             }
-            
-            const product = products[productIndex];
-            const offer_id = product?.offer_id;
-            const product_name = product?.offer_name || product?.name || `Produto ${productIndex + 1}`;
-            
-            if (!offer_id) {
-                console.log(`⚠️ Produto ${productIndex + 1}: offer_id não encontrado`);
-                console.log('- Produto:', product);
-                processProduct(productIndex + 1);
-                return;
+            if (!download) {
+                return res.status(404).json({ success: false, error: 'Download não encontrado' });
             }
             
-            console.log(`🔍 Produto ${productIndex + 1}: ${product_name} (${offer_id})`);
-            
-            // Verificar se algum produto do sistema tem esse offer_id
-            const findProductQuery = `
-                SELECT * FROM products 
-                WHERE plano_1 = ? OR plano_2 = ? OR plano_3 = ?
-                LIMIT 1
-            `;
-            
-            db.get(findProductQuery, [offer_id, offer_id, offer_id], (err, product_row) => {
+            readDownloadSource(download.url, (err, bytes) => {
                 if (err) {
-                    console.error(`❌ Erro ao buscar produto para offer_id ${offer_id}:`, err);
-                    processProduct(productIndex + 1);
-                    return;
+                    console.error(`❌ Erro ao ler arquivo do download ${download.id}:`, err.message);
+                    return res.status(err.statusCode || 500).json({ success: false, error: 'Arquivo indisponível no momento' });
                 }
-                
-                if (product_row) {
-                    console.log(`✅ Produto encontrado no sistema: ${product_row.name}`);
-                } else {
-                    console.log(`⚠️ Nenhum produto do sistema configurado com offer_id: ${offer_id}`);
-                    console.log(`💡 Configure um produto no painel admin com plano_1/2/3 = ${offer_id}`);
+                if (bytes.subarray(0, 5).toString('latin1') !== '%PDF-') {
+                    return res.status(415).json({ success: false, error: 'O arquivo deste download não é um PDF' });
                 }
                 
-                const product_code = product_row?.id || offer_id;
-                
-                // Verificar se já existe acesso para este email/offer_id
-                const checkAccessQuery = `
-                    SELECT * FROM user_access 
-                    WHERE email = ? AND plan_code = ? AND status = 'active'
-                    ORDER BY created_at DESC
-                    LIMIT 1
-                `;
+                // Produto gratuito não tem compra: o rastreio fica no email e no código do download
+                const purchase = access.purchase;
+                const stamp = {
+                    email: payload.e,
+                    paymentId: purchase ? purchase.payment_id || `#${purchase.id}` : 'gratuita',
+                    date: new Date().toISOString().slice(0, 10),
+                    fingerprint: crypto.randomBytes(6).toString('hex')
+                };
                 
-                db.get(checkAccessQuery, [email, offer_id], (err, existing) => {
+                watermarkPdf(bytes, stamp, (err, output) => {
                     if (err) {
-                        console.error(`❌ Erro ao verificar acesso existente para ${offer_id}:`, err);
+                        console.error(`❌ Erro ao aplicar marca d'água no download ${download.id}:`, err.message);
+                        return res.status(500).json({ success: false, error: 'Não foi possível gerar o arquivo' });
                     }
                     
-                    if (existing) {
-                        console.log(`⚠️ Acesso já existe para ${email} → ${offer_id}`);
-                        processedProducts.push({
-                            offer_id: offer_id,
-                            product_name: product_name,
-                            status: 'already_exists',
-                            access_id: existing.id
-                        });
-                        processProduct(productIndex + 1);
-                        return;
-                    }
-                    
-                    // Liberar acesso
-                    console.log(`🔓 Liberando acesso para: ${email} → ${offer_id}`);
-                    const insertAccessQuery = `
-                        INSERT INTO user_access 
-                        (email, product_code, plan_code, plan_name, sale_amount, payment_id, status, updated_at)
-                        VALUES (?, ?, ?, ?, ?, ?, 'active', CURRENT_TIMESTAMP)
+                    const logQuery = `
+                        INSERT INTO download_log (download_id, product_id, email, access_id, payment_id, fingerprint, ip_address, user_agent)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
                     `;
                     
-                    db.run(insertAccessQuery, [
-                        email,
-                        product_code,
-                        offer_id,
-                        product_name,
-                        total_price || 0,
-                        sale_id || checkout_id
-                    ], function(err) {
+                    db.run(logQuery, [download.id, payload.p, payload.e, purchase && purchase.id, purchase && purchase.payment_id, stamp.fingerprint, req.ip, req.get('User-Agent') || null], (err) => {
+                        // Sem registro não há como rastrear a cópia: não entrega
                         if (err) {
-                            console.error(`❌ Erro ao liberar acesso para ${offer_id}:`, err);
-                            processedProducts.push({
-                                offer_id: offer_id,
-                                product_name: product_name,
-                                status: 'error',
-                                error: err.message
-                            });
-                        } else {
-                            console.log(`✅ Acesso liberado: ${email} → ${offer_id} (ID: ${this.lastID})`);
-                            accessesGranted++;
-                            processedProducts.push({
-                                offer_id: offer_id,
-                                product_name: product_name,
-                                status: 'granted',
-                                access_id: this.lastID
-                            });
+                            console.error('❌ Erro ao registrar download:', err);
+                            return res.status(500).json({ success: false, error: 'Erro interno' });
                         }
                         
-                        processProduct(productIndex + 1);
+                        const filename = `${download.title.normalize('NFD').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'download'}.pdf`;
+                        console.log(`📥 Download: ${download.title} para ${payload.e} (cód. ${stamp.fingerprint})`);
+                        
+                        res.setHeader('Content-Type', 'application/pdf');
+                        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+                        res.setHeader('Cache-Control', 'private, no-store');
+                        res.send(output);
                     });
                 });
             });
-        };
-        
-        // Iniciar processamento dos produtos
-        processProduct(0);
-        
-    } catch (error) {
-        console.error('❌ ERRO CRÍTICO no webhook Kirvano:', error);
-        console.log('============================================\n');
-        res.status(400).json({ 
-            success: false, 
-            error: 'Dados inválidos',
-            details: error.message,
-            timestamp: new Date().toISOString()
         });
-    }
+    });
 });
 
 // =============================================================================
-// ENDPOINT DE DEBUG PARA TESTAR KIRVANO
+// ADMIN TEAM - gestão de contas e papéis (somente owner)
 // =============================================================================
 
-app.post('/debug/simulate-kirvano', (req, res) => {
-    const { email, offer_id } = req.body;
-    
-    if (!email || !offer_id) {
-        return res.status(400).json({ error: 'Email e offer_id são obrigatórios' });
-    }
-    
-    // Simular payload da Kirvano
-    const mockPayload = {
-        event: 'SALE_APPROVED',
-        status: 'APPROVED',
-        sale_id: 'TEST_' + Date.now(),
-        checkout_id: 'CHK_' + Date.now(),
-        total_price: 'R$ 99,99',
-        customer: {
-            email: email,
-            name: 'Cliente Teste',
-            document: '12345678901',
-            phone_number: '11999999999'
-        },
-        products: [{
-            id: 'prod_test_' + Date.now(),
-            name: 'Produto Teste',
-            offer_id: offer_id,
-            offer_name: 'Oferta Teste',
-            description: 'Produto para teste do webhook',
-            price: 'R$ 99,99'
-        }]
-    };
-    
-    console.log('\n🧪 SIMULANDO WEBHOOK KIRVANO:');
-    console.log('📧 Email:', email);
-    console.log('🏷️ Offer ID:', offer_id);
-    
-    // Fazer request interno para o webhook
-    const axios = require('axios');
-    const baseUrl = req.protocol + '://' + req.get('host');
+app.get('/api/admin/roles', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        roles: Object.entries(ADMIN_ROLES).map(([key, role]) => ({
+            key,
+            label: role.label,
+            permissions: getRolePermissions(key)
+        }))
+    });
+});
+
+app.get('/api/admin/admins', requirePermission('admins:manage'), (req, res) => {
+    db.all('SELECT id, username, role, active, last_login_at, created_at FROM admins ORDER BY created_at', [], (err, admins) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        res.json({ success: true, admins, timestamp: new Date().toISOString() });
+    });
+});
+
+app.post('/api/admin/admins', requirePermission('admins:manage'), (req, res) => {
+    const { username, password, role } = req.body;
     
-    axios.post(`${baseUrl}/webhook/kirvano`, mockPayload)
-        .then(response => {
-            res.json({
-                success: true,
-                message: 'Webhook simulado com sucesso',
-                webhook_response: response.data,
-                mock_payload: mockPayload,
-                timestamp: new Date().toISOString()
-            });
-        })
-        .catch(error => {
-            res.status(500).json({
+    createAdmin(username, password, role, (err, admin) => {
+        if (err) {
+            const status = /UNIQUE/.test(err.message) ? 409 : 400;
+            return res.status(status).json({
                 success: false,
-                error: 'Erro ao simular webhook',
-                details: error.response?.data || error.message,
-                mock_payload: mockPayload,
-                timestamp: new Date().toISOString()
+                error: status === 409 ? 'Já existe um admin com este usuário' : err.message
             });
-        });
+        }
+        
+        console.log(`👑 Admin ${admin.username} (${admin.role}) criado por ${req.admin.username}`);
+        res.json({ success: true, admin, message: 'Admin criado com sucesso!' });
+    });
 });
 
-console.log('🔄 Webhook Kirvano configurado em: /webhook/kirvano');
-console.log('🧪 Teste disponível em: POST /debug/simulate-kirvano');
-console.log('📋 Exemplo de teste: { "email": "teste@email.com", "offer_id": "94069d91-6bdf-47b0-b7e2-35c6d384e793" }');
-
-// ADMIN AUTH
-app.post('/api/admin/login', (req, res) => {
-    const { username, password } = req.body;
+// Altera papel e/ou status; nunca deixa o sistema sem um owner ativo
+app.put('/api/admin/admins/:id', requirePermission('admins:manage'), (req, res) => {
+    const adminId = parseInt(req.params.id);
+    const { role, active } = req.body;
     
-    if (username === 'painel-iago' && password === '#Senha8203') {
-        res.json({ 
-            success: true, 
-            message: 'Login realizado com sucesso!',
-            timestamp: new Date().toISOString()
-        });
-    } else {
-        res.status(401).json({ 
-            success: false, 
-            error: 'Credenciais inválidas',
-            timestamp: new Date().toISOString()
-        });
+    if (role !== undefined && !ADMIN_ROLES[role]) {
+        return res.status(400).json({ success: false, error: `Papel inválido: ${role}` });
+    }
+    
+    if (adminId === req.admin.id) {
+        return res.status(400).json({ success: false, error: 'Você não pode alterar o próprio papel ou status' });
     }
+    
+    db.get('SELECT * FROM admins WHERE id = ?', [adminId], (err, target) => {
+        if (err) {
+            return res.status(500).json({ success: false, error: err.message });
+        }
+        
+        if (!target) {
+            return res.status(404).json({ success: false, error: 'Admin não encontrado' });
+        }
+        
+        const newRole = role !== undefined ? role : target.role;
+        const newActive = active !== undefined ? (active ? 1 : 0) : target.active;
+        
+        db.get("SELECT COUNT(*) as count FROM admins WHERE role = 'owner' AND active = 1 AND id != ?", [adminId], (err, owners) => {
+            if (err) {
+                return res.status(500).json({ success: false, error: err.message });
+            }
+            
+            if (target.role === 'owner' && (newRole !== 'owner' || !newActive) && owners.count === 0) {
+                return res.status(400).json({ success: false, error: 'É necessário manter pelo menos um owner ativo' });
+            }
+            
+            db.run(
+                'UPDATE admins SET role = ?, active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [newRole, newActive, adminId],
+                (err) => {
+                    if (err) {
+                        return res.status(500).json({ success: false, error: err.message });
+                    }
+                    
+                    if (!newActive) {
+                        db.run('UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE admin_id = ? AND revoked_at IS NULL', [adminId]);
+                    }
+                    
+                    console.log(`👑 Admin ${target.username} atualizado por ${req.admin.username}: ${newRole}, ativo=${newActive}`);
+                    res.json({ success: true, message: 'Admin atualizado com sucesso!' });
+                }
+            );
+        });
+    });
 });
 
 // PWA ROUTES
@@ -1388,10 +6568,7 @@ app.get('/painel-x7k2m9', (req, res) => {
                         <p>🔧 Sistema de liberação funcionando</p>
                         <p>🔧 Galeria do modal corrigida</p>
                         <p>🔧 Webhook PerfectPay otimizado</p>
-                        
-                        <p style="margin-top: 2rem; font-size: 0.9rem; color: #666;">
-                            Login: painel-iago | Senha: #Senha8203
-                        </p>
+
                     </div>
                 </body>
                 </html>
@@ -1517,33 +6694,80 @@ app.use((error, req, res, next) => {
     });
 });
 
+// CLI: npm run create-admin -- <usuario> <senha> [papel]
+function runCreateAdminCommand() {
+    const [username, password, role] = process.argv.slice(3);
+
+    db.serialize(() => {
+        createAdmin(username, password, role || 'owner', (err, admin) => {
+            if (err) {
+                console.error('❌ Erro ao criar admin:', err.message);
+                process.exitCode = 1;
+            } else {
+                console.log(`👑 Admin criado: ${admin.username} (ID: ${admin.id}, papel: ${admin.role})`);
+            }
+            db.close();
+        });
+    });
+}
+
 // SERVER START
-app.listen(PORT, () => {
-    console.log(`\n🚀 ===== SERVIDOR VIP CORRIGIDO =====`);
-    console.log(`⏰ ${new Date().toLocaleString('pt-BR')}`);
-    console.log(`🌐 Porta: ${PORT}`);
-    console.log(`\n📱 LINKS PRINCIPAIS:`);
-    console.log(`   App Principal: http://localhost:${PORT}`);
-    console.log(`   Painel Admin:  http://localhost:${PORT}/painel-x7k2m9`);
-    console.log(`\n🔌 API ENDPOINTS:`);
-    console.log(`   Produtos:      GET  /api/products`);
-    console.log(`   User Products: POST /api/user/products (CORRIGIDO)`);
-    console.log(`   Webhook:       POST /webhook/perfectpay`);
-    console.log(`   Verificar:     POST /api/check-access`);
-    console.log(`   Saúde:         GET  /api/health`);
-    console.log(`\n🐛 DEBUG ROUTES:`);
-    console.log(`   Ver Produtos:  GET  /debug/products`);
-    console.log(`   Ver Acessos:   GET  /debug/access`);
-    console.log(`   Simular:       POST /debug/simulate-access`);
-    console.log(`\n✅ PROBLEMAS RESOLVIDOS:`);
-    console.log(`   ✅ Sistema de liberação de produtos`);
-    console.log(`   ✅ Endpoint /api/user/products corrigido`);
-    console.log(`   ✅ Galeria do modal funcionando`);
-    console.log(`   ✅ Webhook PerfectPay otimizado`);
-    console.log(`   ✅ Logs detalhados para debug`);
-    console.log(`\n🎯 SERVIDOR PRONTO COM TODAS AS CORREÇÕES!`);
-    console.log(`=====================================\n`);
-});
+if (CLI_COMMAND === 'create-admin') {
+    runCreateAdminCommand();
+} else {
+    app.listen(PORT, () => {
+        // Varredura periódica de assinaturas vencidas
+        sweepExpiredAccess();
+        setInterval(sweepExpiredAccess, ACCESS_EXPIRY_SWEEP_MINUTES * 60 * 1000).unref();
+        // Limpeza da lixeira na subida e a cada hora
+        purgeExpiredTrash();
+        setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+        
+        console.log(`\n🚀 ===== SERVIDOR VIP CORRIGIDO =====`);
+        console.log(`⏰ ${new Date().toLocaleString('pt-BR')}`);
+        console.log(`🌐 Porta: ${PORT}`);
+        console.log(`\n📱 LINKS PRINCIPAIS:`);
+        console.log(`   App Principal: http://localhost:${PORT}`);
+        console.log(`   Painel Admin:  http://localhost:${PORT}/painel-x7k2m9`);
+        console.log(`\n🔌 API ENDPOINTS:`);
+        console.log(`   Produtos:      GET  /api/products`);
+        console.log(`   Categorias:    GET  /api/categories | /api/admin/categories`);
+        console.log(`   Ordem Vitrine: PUT  /api/admin/products/order`);
+        console.log(`   Revisões:      GET  /api/admin/products/:id/revisions | POST .../revisions/:revision/rollback`);
+        console.log(`   Lixeira:       GET  /api/admin/trash | POST /api/admin/trash/:id/restore | DELETE /api/admin/trash/:id`);
+        console.log(`   Login Código:  POST /api/auth/request-code`);
+        console.log(`   Login Validar: POST /api/auth/verify`);
+        console.log(`   Sessão:        GET  /api/auth/session | POST /api/auth/refresh | POST /api/auth/logout`);
+        console.log(`   User Products: POST /api/user/products (CORRIGIDO)`);
+        console.log(`   Meus Acessos:  GET  /api/user/access`);
+        console.log(`   Aulas:         GET  /api/user/products/:id/lessons`);
+        console.log(`   Progresso:     POST /api/user/progress`);
+        console.log(`   Streaming:     GET  /media/stream/:token (links de ${MEDIA_URL_TTL_MINUTES} min) | GET /media/preview/:id`);
+        console.log(`   Webhooks:      POST /webhook/{${Object.keys(PAYMENT_PROVIDERS).join(',')}}`);
+        console.log(`   Verificar:     POST /api/check-access`);
+        console.log(`   Saúde:         GET  /api/health`);
+        console.log(`   Admin Login:   POST /api/admin/login`);
+        console.log(`   Vigências:     GET/PUT/DELETE /api/admin/plan-durations`);
+        console.log(`   Cursos:        /api/admin/products/:id/modules | /api/admin/modules/:id/lessons | /api/admin/lessons/:id`);
+        console.log(`   Mídia:         POST/GET /api/admin/media | DELETE /api/admin/media/:id`);
+        console.log(`   Downloads:     /api/admin/products/:id/downloads | GET /api/admin/download-log | GET /media/download/:token`);
+        console.log(`   Webhook Inbox: GET  /api/admin/webhook-events | POST /api/admin/webhook-events/:id/replay`);
+        console.log(`   Varredura de vencidos a cada ${ACCESS_EXPIRY_SWEEP_MINUTES} min`);
+        console.log(`   Lixeira mantida por ${TRASH_RETENTION_DAYS} dias`);
+        console.log(`\n🐛 DEBUG ROUTES (${DEBUG_ROUTES_ENABLED ? 'ATIVAS - somente admin' : 'DESATIVADAS'}):`);
+        console.log(`   Ver Produtos:  GET  /debug/products`);
+        console.log(`   Ver Acessos:   GET  /debug/access`);
+        console.log(`   Simular:       POST /debug/simulate-access`);
+        console.log(`\n✅ PROBLEMAS RESOLVIDOS:`);
+        console.log(`   ✅ Sistema de liberação de produtos`);
+        console.log(`   ✅ Endpoint /api/user/products corrigido`);
+        console.log(`   ✅ Galeria do modal funcionando`);
+        console.log(`   ✅ Webhook PerfectPay otimizado`);
+        console.log(`   ✅ Logs detalhados para debug`);
+        console.log(`\n🎯 SERVIDOR PRONTO COM TODAS AS CORREÇÕES!`);
+        console.log(`=====================================\n`);
+    });
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {